@@ -1,22 +1,40 @@
-const express = require('express');
-const cors = require('cors');
-const axios = require('axios');
+import express from 'express';
+import cors from 'cors';
+import sessionsRouter from './server/routes/sessions.js';
+import profileRouter from './server/routes/profile.js';
+import crewsRouter from './server/routes/crews.js';
+import historyRouter from './server/routes/history.js';
+import ratingsRouter from './server/routes/ratings.js';
+import { handleYelpSearch } from './server/yelpSearch.js';
+import { handlePlaceSearch } from './server/geocode.js';
+import { errorHandler } from './server/errors.js';
+import { startSweeper } from './server/sweeper.js';
+import { startCleanup } from './server/retention.js';
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
-app.get('/api/yelp/search', async (req, res) => {
-  try {
-    const { location, term } = req.query;
-    const response = await axios.get('https://api.yelp.com/v3/businesses/search', {
-      params: { location, term, limit: 10 },
-      headers: { Authorization: `Bearer ${process.env.YELP_API_KEY}` }
-    });
-    res.json(response.data);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// `/api/yelp` matches the serverless entrypoint; `/search` is kept for older clients.
+app.get(['/api/yelp', '/api/yelp/search'], handleYelpSearch);
+app.get('/api/places', handlePlaceSearch);
 
-app.listen(process.env.PORT || 3001);
+app.use('/api/sessions', sessionsRouter);
+app.use('/api/profile', profileRouter);
+app.use('/api/crews', crewsRouter);
+app.use('/api/history', historyRouter);
+app.use('/api/ratings', ratingsRouter);
+
+app.use(errorHandler);
+
+// Same port the Vite dev proxy forwards `/api` to.
+app.listen(process.env.PORT || 3000);
+
+if (process.env.SESSION_SWEEPER !== 'off') {
+  startSweeper({ intervalMs: Number(process.env.SESSION_SWEEP_INTERVAL_MS) || undefined });
+}
+
+// Deletes expired sessions hourly; `npm run cleanup` runs it once by hand.
+if (process.env.SESSION_CLEANUP !== 'off') {
+  startCleanup({ intervalMs: Number(process.env.SESSION_CLEANUP_INTERVAL_MS) || undefined });
+}
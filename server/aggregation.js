@@ -0,0 +1,303 @@
+import { HttpError } from './errors.js';
+import { findCandidates, addDetails, DEFAULT_PROVIDER, FALLBACK_PROVIDER } from './providers/index.js';
+import { lastWonAt } from '../src/lib/rotation.js';
+import { summarizeRatings, BAD_RATING } from '../src/lib/ratings.js';
+import { distanceMeters, isCoordinates } from '../src/lib/geo.js';
+import { isOpenAt } from '../src/lib/hours.js';
+
+/* -------------------------------------------------------------------------- */
+/* GROUP PREFERENCE AGGREGATION                                               */
+/* -------------------------------------------------------------------------- */
+
+// Sits between preference submission and the voting slate: one search per
+// cuisine cluster, every result scored against every participant, hard dietary
+// needs treated as vetoes and a final pick that avoids ten burger joints.
+
+export const SLATE_SIZE = 10;
+// Details cost one provider call per place, so they are only fetched when the
+// session has a meal time, only for places about to make the slate, and for
+// at most this many rounds of replacing places found closed.
+const DETAIL_PASSES = 3;
+const MAX_CLUSTERS = 4;
+const REPEAT_PENALTY = 1.5;
+// Worth about one participant's match, so a recent winner needs real support
+// to stay near the top.
+const ROTATION_PENALTY = 3;
+// Per star away from a middling 3, averaged over the group's ratings.
+const RATING_WEIGHT = 1.5;
+
+const priceLevel = (price) => (typeof price === 'string' ? price.length : 0);
+
+/**
+ * Scores one restaurant for one participant. A `null` craving means the
+ * participant had no preference and is happy with anything.
+ *
+ * @returns {{vetoed: boolean, matched: boolean, score: number}}
+ */
+export const scoreForParticipant = (candidate, craving) => {
+  if (!craving) return { vetoed: false, matched: true, score: 0 };
+
+  const categories = new Set(candidate.categories || []);
+  const vetoed = craving.dietary.some(d => !categories.has(d));
+  const wantsCuisine = craving.cuisines.length === 0 || craving.cuisines.some(c => categories.has(c));
+  const excluded = craving.exclusions.some(x => categories.has(x));
+  const level = priceLevel(candidate.price);
+  const inBudget = !craving.priceMax || !level || level <= craving.priceMax;
+
+  let score = 0;
+  if (craving.cuisines.some(c => categories.has(c))) score += 2;
+  if (craving.priceMax && level) score += inBudget ? 1 : -1;
+  if (excluded) score -= 2;
+
+  return {
+    vetoed,
+    matched: !vetoed && wantsCuisine && inBudget && !excluded,
+    score
+  };
+};
+
+/**
+ * Scores a restaurant against the whole group.
+ *
+ * @param {Object} candidate
+ * @param {Array<Object|null>} cravings one entry per participant
+ */
+export const scoreCandidate = (candidate, cravings) => {
+  const results = cravings.map(c => scoreForParticipant(candidate, c));
+  return {
+    vetoes: results.filter(r => r.vetoed).length,
+    matchCount: results.filter(r => r.matched).length,
+    score: results.reduce((sum, r) => sum + r.score, 0)
+  };
+};
+
+const primaryCategory = (candidate) => candidate.categories?.[0] || candidate.cuisine;
+
+// Vetoed restaurants only come back in when fewer than this many survive,
+// since a one-restaurant vote is no vote at all.
+const MIN_SLATE_SIZE = 3;
+
+// Exclusion falls back to the full pool rather than leaving nothing to vote on.
+const applyRotation = (pool, rotation, recentWins) => {
+  const annotated = pool.map(candidate => {
+    const wonAt = lastWonAt(candidate, recentWins);
+    return wonAt ? { ...candidate, lastWonAt: wonAt } : candidate;
+  });
+  if (rotation?.mode !== 'exclude') return annotated;
+
+  const fresh = annotated.filter(c => !c.lastWonAt);
+  return fresh.length > 0 ? fresh : annotated;
+};
+
+// Like exclusion above, a bad rating only hides a place while others remain.
+const applyRatings = (pool, ratings) => {
+  const annotated = pool.map(candidate => {
+    const groupRating = summarizeRatings(candidate, ratings);
+    return groupRating ? { ...candidate, groupRating } : candidate;
+  });
+  const liked = annotated.filter(c => !c.groupRating || c.groupRating.lowest > BAD_RATING);
+  return liked.length > 0 ? liked : annotated;
+};
+
+/**
+ * Picks a diverse slate from the scored pool. Vetoed restaurants are dropped,
+ * topped up with the least-vetoed ones when too few are left. Each pick after
+ * the first of its category pays a diversity penalty, and recent winners pay
+ * the rotation penalty (or are excluded outright). Past meal ratings from the
+ * group nudge places up or down; anything someone rated badly is dropped.
+ *
+ * @param {Object} [options]
+ * @param {{days: number, mode: string}|null} [options.rotation]
+ * @param {Map<string, number>} [options.recentWins] from `recentWinners`
+ * @param {Map<string, number[]>} [options.ratings] from `groupRatings`
+ */
+export const selectSlate = (pool, cravings, size = SLATE_SIZE, { rotation = null, recentWins = new Map(), ratings = new Map() } = {}) => {
+  const scored = applyRatings(applyRotation(pool, rotation, recentWins), ratings)
+    .map(candidate => ({ candidate, ...scoreCandidate(candidate, cravings) }))
+    .sort((a, b) => a.vetoes - b.vetoes);
+  const remaining = scored.filter((s, i) => s.vetoes === 0 || i < MIN_SLATE_SIZE);
+
+  const slate = [];
+  const categoryCounts = {};
+  while (slate.length < size && remaining.length > 0) {
+    const value = (s) =>
+      s.matchCount * 3 + s.score + (s.candidate.rating || 0) / 5
+      - REPEAT_PENALTY * (categoryCounts[primaryCategory(s.candidate)] || 0)
+      - (s.candidate.lastWonAt ? ROTATION_PENALTY : 0)
+      + (s.candidate.groupRating ? (s.candidate.groupRating.average - 3) * RATING_WEIGHT : 0);
+
+    let best = 0;
+    remaining.forEach((s, i) => {
+      if (value(s) > value(remaining[best])) best = i;
+    });
+
+    const [pick] = remaining.splice(best, 1);
+    const category = primaryCategory(pick.candidate);
+    categoryCounts[category] = (categoryCounts[category] || 0) + 1;
+    slate.push({
+      ...pick.candidate,
+      matches: { count: pick.matchCount, total: cravings.length }
+    });
+  }
+  return slate;
+};
+
+// Exclusions are deliberately not sent to the provider: one person's "no
+// sushi" is a penalty in `scoreForParticipant`, not a reason to hide a place.
+//
+// The most-wanted cuisines plus each dietary need get their own search, so a
+// single vegan in a burger crowd still sees options they can eat.
+const searchClusters = (cravings) => {
+  const present = cravings.filter(Boolean);
+  const popularity = {};
+  present.forEach(c => c.cuisines.forEach(alias => {
+    popularity[alias] = (popularity[alias] || 0) + 1;
+  }));
+
+  const cuisines = Object.keys(popularity)
+    .sort((a, b) => popularity[b] - popularity[a])
+    .slice(0, MAX_CLUSTERS);
+  const dietary = [...new Set(present.flatMap(c => c.dietary))];
+
+  return [
+    [],
+    ...cuisines.map(c => [c]),
+    ...dietary.map(d => [d])
+  ];
+};
+
+const tightest = (...radii) => {
+  const set = radii.filter(Boolean);
+  return set.length > 0 ? Math.min(...set) : null;
+};
+
+const nameKey = (candidate) => candidate.name.trim().toLowerCase();
+
+// The same place can carry different ids from different providers, so "seen"
+// and "taken" checks look at both.
+export const candidateKeys = (candidate) => [candidate.id, nameKey(candidate)];
+
+// Nominations are on the slate because someone asked for them by name, so
+// they skip selection; they are still scored for the "matches" badge.
+const nominatedSlate = (nominations, cravings) =>
+  nominations.slice(0, SLATE_SIZE).map(({ candidate, nominatedBy }) => ({
+    ...candidate,
+    nominatedBy,
+    matches: { count: scoreCandidate(candidate, cravings).matchCount, total: cravings.length }
+  }));
+
+// Adds `distance` from the session center where the provider gave coordinates
+// and drops anything known to be outside the radius. Candidates without
+// coordinates cannot be measured and are kept.
+const withinRadius = (candidates, center, radius) => {
+  if (!isCoordinates(center)) return candidates;
+  return candidates
+    .map(c => (isCoordinates(c.coordinates) ? { ...c, distance: distanceMeters(center, c.coordinates) } : c))
+    .filter(c => !radius || c.distance === undefined || c.distance <= radius);
+};
+
+// Picks `room` places, looking up hours for each pick and replacing any known
+// to be closed at the meal with the next best. Places without hours are kept;
+// if nothing is known to be open, the slate keeps the closed places and the
+// cards say so.
+const selectOpenSlate = async (pool, cravings, room, options, mealTime, provider) => {
+  const detailed = new Map();
+  let remaining = pool;
+  let picked = [];
+
+  for (let pass = 0; pass < DETAIL_PASSES && remaining.length > 0; pass++) {
+    picked = selectSlate(remaining, cravings, room, options);
+    const looked = await addDetails(picked.filter(c => !detailed.has(c.id)), provider);
+    looked.forEach(c => detailed.set(c.id, { ...c, openAtMeal: isOpenAt(c.hours, mealTime) }));
+    picked = picked.map(c => detailed.get(c.id));
+
+    const closed = new Set(picked.filter(c => c.openAtMeal === false).map(c => c.id));
+    if (closed.size === 0) return picked;
+    remaining = remaining.filter(c => !closed.has(c.id));
+  }
+
+  const open = picked.filter(c => c.openAtMeal !== false);
+  return open.length > 0 ? open : picked;
+};
+
+/**
+ * Builds the voting slate for a group.
+ *
+ * @param {Object} options
+ * @param {string} options.location
+ * @param {{latitude: number, longitude: number}|null} [options.center] searched instead of `location`
+ * @param {number|null} [options.radius] session radius in meters
+ * @param {Array} [options.customList] host-provided restaurants
+ * @param {Array<Object|null>} options.cravings one parsed craving per participant
+ * @param {Object} options.filters group-wide filters from `cravingsToFilters`
+ * @param {Object|null} [options.rotation] session rotation setting
+ * @param {Map<string, number>} [options.recentWins] restaurants that won lately
+ * @param {Map<string, number[]>} [options.ratings] the group's past meal ratings
+ * @param {{day: number, minutes: number}|null} [options.mealTime] from `mealClock`;
+ *   places closed then are dropped
+ * @param {Array<{candidate: Object, nominatedBy: string[]}>} [options.nominations]
+ *   places participants picked themselves, most-nominated first
+ * @param {Set<string>} [options.exclude] `candidateKeys` of places to leave out
+ * @param {number} [options.offset] provider results to skip, for rerolls
+ * @param {string|null} [options.provider] search only this provider, with no
+ *   fallback, e.g. to extend a slate it already built
+ * @param {number} [options.size] slate size
+ * @returns {Promise<{candidates: Array, provider: string|null, exhausted: boolean}>}
+ *   `exhausted` when the provider returned nothing at this offset
+ */
+export const buildSlate = async ({ location, center, radius: sessionRadius, customList, cravings, filters, rotation, recentWins, ratings, mealTime, nominations = [], exclude = new Set(), offset = 0, provider: providerName = null, size = SLATE_SIZE }) => {
+  const { term } = filters;
+  const radius = tightest(sessionRadius, filters.radius);
+  const priceCaps = cravings.filter(c => c?.priceMax).map(c => c.priceMax);
+  // Search up to the loosest budget; stricter budgets are scored, not filtered.
+  const price = priceCaps.length === cravings.length && priceCaps.length > 0
+    ? Array.from({ length: Math.max(...priceCaps) }, (_, i) => i + 1)
+    : [];
+
+  const clusters = customList?.length > 0 ? [[]] : searchClusters(cravings);
+  const search = (name) => Promise.allSettled(clusters.map(categories => findCandidates({
+    location,
+    term,
+    customList,
+    provider: name,
+    filters: { categories, price, radius, center, offset }
+  })));
+
+  // A slate comes from one provider. Fixtures stand in only when the
+  // configured provider failed every search, never to pad out a thin result.
+  let settled = await search(providerName || DEFAULT_PROVIDER);
+  if (!providerName && settled.every(r => r.status === 'rejected') && DEFAULT_PROVIDER !== FALLBACK_PROVIDER) {
+    console.error(`Restaurant provider ${DEFAULT_PROVIDER} failed, using ${FALLBACK_PROVIDER}:`, settled[0].reason?.message);
+    settled = await search(FALLBACK_PROVIDER);
+  }
+  settled.filter(r => r.status === 'rejected').forEach(r => console.error('Restaurant search failed:', r.reason?.message));
+  const results = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+  if (providerName && results.length === 0) {
+    throw new HttpError(502, 'Restaurant search is unavailable right now');
+  }
+  // Nothing came back at this offset: the provider has no further pages.
+  const exhausted = results.every(r => r.candidates.length === 0);
+
+  const pool = new Map();
+  results.forEach(r => r.candidates.forEach(c => {
+    if (!pool.has(c.id)) pool.set(c.id, c);
+  }));
+
+  const provider = results.find(r => r.provider)?.provider || null;
+  const nominated = withinRadius(nominatedSlate(nominations, cravings), center, null);
+  const taken = new Set([...exclude, ...nominated.flatMap(candidateKeys)]);
+  const nearby = withinRadius([...pool.values()], center, radius)
+    .filter(c => !c.isClosed && !taken.has(c.id) && !taken.has(nameKey(c)));
+  const room = size - nominated.length;
+  if (nearby.length === 0 || room <= 0) return { candidates: nominated, provider, exhausted };
+
+  const options = { rotation, recentWins, ratings };
+  const picked = mealTime
+    ? await selectOpenSlate(nearby, cravings, room, options, mealTime, provider)
+    : selectSlate(nearby, cravings, room, options);
+  return {
+    candidates: [...nominated, ...picked],
+    provider,
+    exhausted
+  };
+};
@@ -0,0 +1,32 @@
+import { adminAuth } from './firebase.js';
+import { HttpError } from './errors.js';
+
+/**
+ * Verifies the Firebase ID token from `Authorization: Bearer <token>`.
+ *
+ * @returns {Promise<string>} the caller's uid
+ * @throws {HttpError} 401 when the token is missing or invalid
+ */
+export const verifyUser = async (req) => {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer (.+)$/);
+  if (!match) {
+    throw new HttpError(401, 'Missing ID token');
+  }
+
+  try {
+    return (await adminAuth.verifyIdToken(match[1])).uid;
+  } catch (error) {
+    throw new HttpError(401, 'Invalid ID token');
+  }
+};
+
+// Middleware form of `verifyUser`, exposing the caller's uid as `req.uid`.
+export const requireUser = async (req, res, next) => {
+  try {
+    req.uid = await verifyUser(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
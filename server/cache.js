@@ -0,0 +1,34 @@
+/**
+ * Small in-memory LRU cache with a per-entry TTL. Map iteration order is
+ * insertion order, so re-inserting on read keeps the oldest entry first.
+ */
+export const createLruCache = ({ max = 200, ttlMs = 10 * 60 * 1000, now = Date.now } = {}) => {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expiresAt <= now()) return undefined;
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      while (entries.size > max) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+};
@@ -0,0 +1,12 @@
+import { purgeExpiredSessions } from './retention.js';
+
+// One-off cleanup for cron or a shell; the server also runs it on a timer.
+// Firestore keeps the process alive, hence the explicit exit.
+try {
+  const deleted = await purgeExpiredSessions();
+  console.log(`Deleted ${deleted} expired session(s)`);
+  process.exit(0);
+} catch (error) {
+  console.error('Session cleanup failed:', error.message);
+  process.exit(1);
+}
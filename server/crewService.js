@@ -0,0 +1,168 @@
+import { randomInt } from 'crypto';
+import { db, collectionRef, FieldValue } from './firebase.js';
+import { HttpError } from './errors.js';
+import { requireString, loadSession } from './sessionStore.js';
+import { prepareSession, optionalRotation } from './sessionService.js';
+import { getProfile } from './profileService.js';
+import { VOTING_MODES, DEFAULT_VOTING_MODE } from '../src/lib/scoring.js';
+
+/* -------------------------------------------------------------------------- */
+/* CREWS                                                                      */
+/* -------------------------------------------------------------------------- */
+
+// A crew is a standing group that keeps making the same decision. Its sessions
+// are ordinary sessions tagged with `crewId`; the crew doc only holds members,
+// defaults and a pointer to the session currently in progress.
+
+export const crewRef = (crewId) => collectionRef('crews').doc(crewId);
+
+const CREW_ID_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const CREW_ID_LENGTH = 8;
+const MAX_ID_ATTEMPTS = 5;
+// gRPC's ALREADY_EXISTS, which `create` fails with when the id is taken.
+const ALREADY_EXISTS = 6;
+
+const generateCrewId = () =>
+  Array.from({ length: CREW_ID_LENGTH }, () => CREW_ID_ALPHABET[randomInt(CREW_ID_ALPHABET.length)]).join('');
+
+const loadCrew = async (crewId, t) => {
+  const ref = crewRef(crewId);
+  const snap = t ? await t.get(ref) : await ref.get();
+  if (!snap.exists) {
+    throw new HttpError(404, 'Crew not found');
+  }
+  return { id: crewId, ...snap.data() };
+};
+
+const assertMember = (crew, uid) => {
+  if (!crew.memberIds.includes(uid)) {
+    throw new HttpError(403, 'Join the crew first');
+  }
+};
+
+const votingModeOf = (value) => (VOTING_MODES[value] ? value : DEFAULT_VOTING_MODE);
+
+// Member names and colors are denormalized so the crew page is a single read.
+const memberEntry = (profile, name) => ({
+  name,
+  avatarColor: profile.avatarColor
+});
+
+export const createCrew = async (uid, { name, memberName, defaultLocation, defaultVotingMode, rotationDays, rotationMode }) => {
+  const crewName = requireString(name, 'name', 60);
+  const location = requireString(defaultLocation, 'defaultLocation');
+  const profile = await getProfile(uid);
+  const ownName = requireString(memberName || profile.displayName, 'memberName', 60);
+  const crew = {
+    name: crewName,
+    ownerId: uid,
+    memberIds: [uid],
+    members: { [uid]: memberEntry(profile, ownName) },
+    defaultLocation: location,
+    defaultVotingMode: votingModeOf(defaultVotingMode),
+    defaultRotation: optionalRotation(rotationDays, rotationMode),
+    activeSessionId: null,
+    activeSessionAt: null,
+    createdAt: FieldValue.serverTimestamp()
+  };
+
+  // `create` fails on a taken id rather than overwriting another crew.
+  for (let attempt = 0; attempt < MAX_ID_ATTEMPTS; attempt++) {
+    const crewId = generateCrewId();
+    try {
+      await crewRef(crewId).create(crew);
+      return { crewId };
+    } catch (error) {
+      if (error.code !== ALREADY_EXISTS) throw error;
+    }
+  }
+  throw new HttpError(503, 'Could not allocate a crew ID, please try again');
+};
+
+export const joinCrew = async (uid, crewId, { name } = {}) => {
+  const crew = await loadCrew(crewId);
+  const profile = await getProfile(uid);
+  const memberName = requireString(name || profile.displayName, 'name', 60);
+
+  await crewRef(crewId).update({
+    memberIds: FieldValue.arrayUnion(uid),
+    [`members.${uid}`]: memberEntry(profile, memberName)
+  });
+  return { crewId: crew.id };
+};
+
+// The owner role passes to the longest-standing remaining member.
+export const leaveCrew = async (uid, crewId) => {
+  return db.runTransaction(async (t) => {
+    const crew = await loadCrew(crewId, t);
+    assertMember(crew, uid);
+
+    const memberIds = crew.memberIds.filter(id => id !== uid);
+    t.update(crewRef(crewId), {
+      memberIds,
+      [`members.${uid}`]: FieldValue.delete(),
+      ownerId: crew.ownerId === uid ? memberIds[0] || null : crew.ownerId
+    });
+    return { left: true };
+  });
+};
+
+export const updateCrew = async (uid, crewId, { name, defaultLocation, defaultVotingMode, rotationDays, rotationMode }) => {
+  const crew = await loadCrew(crewId);
+  if (crew.ownerId !== uid) {
+    throw new HttpError(403, 'Only the crew owner can change its settings');
+  }
+
+  const update = {};
+  if (name !== undefined) update.name = requireString(name, 'name', 60);
+  if (defaultLocation !== undefined) update.defaultLocation = requireString(defaultLocation, 'defaultLocation');
+  if (defaultVotingMode !== undefined) update.defaultVotingMode = votingModeOf(defaultVotingMode);
+  if (rotationDays !== undefined) update.defaultRotation = optionalRotation(rotationDays, rotationMode);
+
+  await crewRef(crewId).update(update);
+  return { crewId };
+};
+
+const isSameDay = (timestamp, now) =>
+  !!timestamp && new Date(timestamp.toMillis()).toDateString() === new Date(now).toDateString();
+
+/**
+ * Starts today's session from the crew defaults, or returns the one a member
+ * already started today so two people clicking at once end up together: the
+ * check and the crew's pointer are one transaction, so only one of them
+ * creates a session. Members learn about it through `activeSessionId`.
+ */
+export const startCrewSession = async (uid, crewId, now = Date.now()) => {
+  const crew = await loadCrew(crewId);
+  assertMember(crew, uid);
+
+  const { sessionId, write, afterCommit } = await prepareSession(uid, {
+    name: crew.members[uid]?.name,
+    location: crew.defaultLocation,
+    votingMode: crew.defaultVotingMode,
+    rotationDays: crew.defaultRotation?.days,
+    rotationMode: crew.defaultRotation?.mode
+  }, { crewId });
+
+  const result = await db.runTransaction(async (t) => {
+    const current = await loadCrew(crewId, t);
+    assertMember(current, uid);
+    if (current.activeSessionId && isSameDay(current.activeSessionAt, now)) {
+      const active = await loadSession(current.activeSessionId, t).catch(() => null);
+      if (active && active.status !== 'finished') {
+        return { sessionId: active.id, created: false };
+      }
+    }
+
+    write(t);
+    t.update(crewRef(crewId), {
+      activeSessionId: sessionId,
+      activeSessionAt: FieldValue.serverTimestamp(),
+      activeSessionBy: uid
+    });
+    return { sessionId, created: true };
+  });
+
+  if (result.created) await afterCommit();
+  return result;
+};
@@ -0,0 +1,24 @@
+import { initializeApp, applicationDefault, getApps } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+
+// Credentials come from GOOGLE_APPLICATION_CREDENTIALS (or the emulator env
+// vars) so the same code runs locally, on Render and against the emulator.
+const adminApp = getApps()[0] || initializeApp({
+  credential: applicationDefault(),
+  projectId: process.env.FIREBASE_PROJECT_ID || process.env.VITE_FIREBASE_PROJECT_ID
+});
+
+export const adminAuth = getAuth(adminApp);
+export const db = getFirestore(adminApp);
+export { FieldValue, Timestamp };
+
+export const appId = 'pickit-prod';
+
+// Mirrors the client paths: artifacts/{appId}/public/data/{name}
+export const collectionRef = (name) =>
+  db.collection('artifacts').doc(appId).collection('public').doc('data').collection(name);
+
+// Private per-user data: artifacts/{appId}/users/{uid}/{name}
+export const userCollectionRef = (uid, name) =>
+  db.collection('artifacts').doc(appId).collection('users').doc(uid).collection(name);
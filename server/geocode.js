@@ -0,0 +1,78 @@
+import { HttpError } from './errors.js';
+import { createLruCache } from './cache.js';
+import { verifyUser } from './auth.js';
+
+/* -------------------------------------------------------------------------- */
+/* PLACE AUTOCOMPLETE                                                         */
+/* -------------------------------------------------------------------------- */
+
+// Turns what someone types into the location box into a few places with
+// coordinates. GEOCODE_URL must point at a Nominatim-compatible service that
+// allows autocomplete (self-hosted, or a paid mirror); the public Nominatim
+// forbids it, so there is no default and place search is off without one.
+
+const GEOCODE_URL = process.env.GEOCODE_URL;
+const MIN_QUERY_LENGTH = 3;
+const MAX_RESULTS = 5;
+// Lookups per user per minute; one keystroke pause is one lookup.
+const RATE_LIMIT = 30;
+
+const cache = createLruCache({ max: 500, ttlMs: 24 * 60 * 60 * 1000 });
+const recentLookups = createLruCache({ max: 5000, ttlMs: 60 * 1000 });
+
+const assertUnderLimit = (uid) => {
+  const count = (recentLookups.get(uid) || 0) + 1;
+  if (count > RATE_LIMIT) {
+    throw new HttpError(429, 'Too many place searches; try again in a minute');
+  }
+  recentLookups.set(uid, count);
+};
+
+/**
+ * @returns {Promise<Array<{label: string, latitude: number, longitude: number}>>}
+ * @throws {HttpError} 503 when no geocoder is configured, 502 when it is
+ *   unreachable or errors
+ */
+export const searchPlaces = async (input) => {
+  if (!GEOCODE_URL) {
+    throw new HttpError(503, 'Place search is not configured');
+  }
+  const query = String(input || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (query.length < MIN_QUERY_LENGTH) return [];
+
+  const cached = cache.get(query);
+  if (cached) return cached;
+
+  const url = `${GEOCODE_URL}?${new URLSearchParams({ q: query, format: 'json', limit: MAX_RESULTS })}`;
+  let response;
+  try {
+    // Nominatim's usage policy asks every client to identify itself.
+    response = await fetch(url, { headers: { 'User-Agent': 'PickIt/1.0', 'Accept': 'application/json' } });
+  } catch (error) {
+    console.error('Geocode error:', error);
+    throw new HttpError(502, 'Failed to reach the geocoder');
+  }
+  if (!response.ok) {
+    throw new HttpError(502, `Geocoder error: ${response.statusText}`);
+  }
+
+  const places = (await response.json()).map(p => ({
+    label: p.display_name,
+    latitude: Number(p.lat),
+    longitude: Number(p.lon)
+  }));
+  cache.set(query, places);
+  return places;
+};
+
+// Signed-in users only, and rate limited, since each miss costs a request to
+// the geocoder.
+export const handlePlaceSearch = async (req, res) => {
+  try {
+    assertUnderLimit(await verifyUser(req));
+    return res.status(200).json({ places: await searchPlaces(req.query.q) });
+  } catch (error) {
+    const status = error instanceof HttpError ? error.status : 500;
+    return res.status(status).json({ error: error.message });
+  }
+};
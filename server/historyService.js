@@ -0,0 +1,64 @@
+import { db } from './firebase.js';
+import { sessionRef, findWhereIn } from './sessionStore.js';
+
+/* -------------------------------------------------------------------------- */
+/* DECISION HISTORY                                                           */
+/* -------------------------------------------------------------------------- */
+
+const millisOf = (timestamp) => (timestamp?.toMillis ? timestamp.toMillis() : null);
+
+// Finished sessions any of these users took part in, newest first.
+export const finishedSessionsOf = async (userIds) => {
+  const attended = await findWhereIn('participants', 'userId', userIds);
+  const sessionIds = [...new Set(attended.map(p => p.sessionId))];
+  if (sessionIds.length === 0) return [];
+
+  const snaps = await db.getAll(...sessionIds.map(sessionRef));
+  return snaps
+    .filter(snap => snap.exists && snap.data().status === 'finished')
+    .map(snap => ({ id: snap.id, ...snap.data() }))
+    .sort((a, b) => (millisOf(b.finishedAt) || 0) - (millisOf(a.finishedAt) || 0));
+};
+
+/**
+ * Restaurants that won a session one of these users was in since `since`.
+ *
+ * @returns {Promise<Map<string, number>>} id and lowercased name -> won at (ms)
+ */
+export const recentWinners = async (userIds, since) => {
+  const wins = new Map();
+  if (userIds.length === 0) return wins;
+
+  (await finishedSessionsOf(userIds)).forEach(session => {
+    const wonAt = millisOf(session.finishedAt);
+    if (!session.winner || !wonAt || wonAt < since) return;
+    [session.winner.id, session.winner.name.toLowerCase()].forEach(key => {
+      if (!wins.has(key) || wins.get(key) < wonAt) wins.set(key, wonAt);
+    });
+  });
+  return wins;
+};
+
+/**
+ * A user's finished sessions with enough of each to show the breakdown.
+ * Timestamps are returned as epoch millis.
+ */
+export const getUserHistory = async (uid, { limit = 50 } = {}) => {
+  const sessions = (await finishedSessionsOf([uid])).slice(0, limit);
+  const participants = await findWhereIn('participants', 'sessionId', sessions.map(s => s.id));
+
+  return sessions.map(session => ({
+    id: session.id,
+    crewId: session.crewId || null,
+    location: session.location,
+    votingMode: session.votingMode,
+    createdAt: millisOf(session.createdAt),
+    finishedAt: millisOf(session.finishedAt),
+    winner: session.winner || null,
+    candidates: session.candidates || [],
+    result: session.result || null,
+    participants: participants
+      .filter(p => p.sessionId === session.id)
+      .map(p => ({ userId: p.userId, name: p.name }))
+  }));
+};
@@ -0,0 +1,158 @@
+import { db, FieldValue } from './firebase.js';
+import { HttpError } from './errors.js';
+import { createLruCache } from './cache.js';
+import {
+  sessionRef,
+  participantRef,
+  loadSession,
+  loadParticipant,
+  requireString,
+  assertStatus
+} from './sessionStore.js';
+import { findCandidates, parseCustomList } from './providers/index.js';
+import { normalizeCandidate, slugify } from './providers/candidate.js';
+import { finishWhenEveryoneVoted } from './sessionService.js';
+import { activeCandidates, vetoesLeft, MAX_NOMINATIONS, MIN_CANDIDATES_AFTER_VETO } from '../src/lib/scoring.js';
+
+/* -------------------------------------------------------------------------- */
+/* NOMINATIONS                                                                */
+/* -------------------------------------------------------------------------- */
+
+// In the lobby, participants search for specific places and nominate them;
+// nominations go on the slate ahead of anything the search picks. They live on
+// the nominator's participant doc, so removing someone removes theirs too.
+
+const SEARCH_LIMIT = 8;
+
+// Candidate ids end up in vote doc ids, so anything unusual gets a slug.
+const SAFE_ID = /^[\w-]{1,100}$/;
+
+// What each participant's last searches returned, by candidate id. A
+// nomination is taken from here rather than from the client, which could send
+// any rating, link or picture it liked.
+const searchResults = createLruCache({ max: 2000, ttlMs: 30 * 60 * 1000 });
+const resultsKey = (sessionId, uid) => `${sessionId}_${uid}`;
+
+const rememberResults = (sessionId, uid, candidates) => {
+  const key = resultsKey(sessionId, uid);
+  const known = searchResults.get(key) || {};
+  searchResults.set(key, { ...known, ...Object.fromEntries(candidates.map(c => [c.id, c])) });
+};
+
+// Entries are search results picked by id, or "Name | cuisine | address"
+// strings like a host's own list. A result the server no longer remembers
+// keeps only the fields a person could have typed.
+const toNomination = (sessionId, uid, entry) => {
+  if (typeof entry === 'string') return parseCustomList([entry])[0] || null;
+  if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) return null;
+
+  const found = searchResults.get(resultsKey(sessionId, uid))?.[String(entry.id)];
+  if (found) return found;
+
+  const name = entry.name.trim().slice(0, 100);
+  const id = SAFE_ID.test(String(entry.id)) ? String(entry.id) : `custom-${slugify(name)}`;
+  const text = (value) => (typeof value === 'string' ? value.trim().slice(0, 200) : '');
+  return normalizeCandidate({ id, name, cuisine: text(entry.cuisine), address: text(entry.address) });
+};
+
+// Searches the configured provider only. Nothing found is an empty list and a
+// provider failure is an error; fixture restaurants are never offered here,
+// since they would look like real places to nominate.
+export const searchRestaurants = async (uid, sessionId, { q }) => {
+  const term = requireString(q, 'q', 100);
+  const session = await loadSession(sessionId);
+  assertStatus(session, 'open');
+  await loadParticipant(sessionId, uid);
+
+  let candidates;
+  try {
+    ({ candidates } = await findCandidates({
+      location: session.location,
+      term,
+      filters: { limit: SEARCH_LIMIT, center: session.center, radius: session.radius }
+    }));
+  } catch (error) {
+    console.error('Nomination search failed:', error.message);
+    throw new HttpError(502, 'Restaurant search is unavailable right now');
+  }
+  rememberResults(sessionId, uid, candidates);
+  return { results: candidates };
+};
+
+export const nominate = async (uid, sessionId, { candidate }) => {
+  const nomination = toNomination(sessionId, uid, candidate);
+  if (!nomination) {
+    throw new HttpError(400, 'candidate needs a name');
+  }
+
+  return db.runTransaction(async (t) => {
+    const session = await loadSession(sessionId, t);
+    assertStatus(session, 'open');
+    const participant = await loadParticipant(sessionId, uid, t);
+    const mine = participant.nominations || [];
+    if (mine.some(c => c.id === nomination.id)) {
+      return { nominations: mine };
+    }
+    if (mine.length >= MAX_NOMINATIONS) {
+      throw new HttpError(409, `You can nominate up to ${MAX_NOMINATIONS} places`);
+    }
+
+    const nominations = [...mine, nomination];
+    t.update(participantRef(sessionId, uid), { nominations });
+    return { nominations };
+  });
+};
+
+export const withdrawNomination = async (uid, sessionId, restaurantId) => {
+  return db.runTransaction(async (t) => {
+    const session = await loadSession(sessionId, t);
+    assertStatus(session, 'open');
+    const participant = await loadParticipant(sessionId, uid, t);
+
+    const nominations = (participant.nominations || []).filter(c => c.id !== restaurantId);
+    t.update(participantRef(sessionId, uid), { nominations });
+    return { nominations };
+  });
+};
+
+/* -------------------------------------------------------------------------- */
+/* VETOES                                                                     */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Strikes a candidate for everyone. Each veto is recorded on the session with
+ * who cast it and in which round, and counts against the caller's allowance.
+ */
+export const vetoCandidate = async (uid, sessionId, restaurantId) => {
+  await db.runTransaction(async (t) => {
+    const session = await loadSession(sessionId, t);
+    assertStatus(session, 'voting');
+    const participant = await loadParticipant(sessionId, uid, t);
+    if (!session.vetoesPerPerson) {
+      throw new HttpError(409, 'Vetoes are off for this session');
+    }
+    if (vetoesLeft(session, uid) === 0) {
+      throw new HttpError(409, 'You have used all your vetoes');
+    }
+    const active = activeCandidates(session);
+    if (!active.some(c => c.id === restaurantId)) {
+      throw new HttpError(400, 'Unknown restaurant');
+    }
+    if (active.length <= MIN_CANDIDATES_AFTER_VETO) {
+      throw new HttpError(409, 'Too few places left to veto');
+    }
+
+    t.update(sessionRef(sessionId), {
+      vetoes: FieldValue.arrayUnion({
+        id: restaurantId,
+        restaurant: active.find(c => c.id === restaurantId).name,
+        userId: uid,
+        name: participant.name,
+        round: session.round || 1
+      })
+    });
+  });
+
+  // Striking the last place someone had not voted on can complete the vote.
+  return { vetoed: restaurantId, finished: await finishWhenEveryoneVoted(sessionId) };
+};
@@ -0,0 +1,212 @@
+import { db, FieldValue } from './firebase.js';
+import { HttpError } from './errors.js';
+import {
+  sessionRef,
+  participantRef,
+  votesQuery,
+  participantsQuery,
+  loadSession,
+  loadParticipant,
+  optionalCoordinates,
+  assertStatus,
+  isModerator,
+  assertHost,
+  assertModerator
+} from './sessionStore.js';
+import { finishWhenEveryoneVoted } from './sessionService.js';
+import { presenceOf, LEFT_AFTER_MS } from '../src/lib/presence.js';
+
+/* -------------------------------------------------------------------------- */
+/* PARTICIPANT MANAGEMENT                                                     */
+/* -------------------------------------------------------------------------- */
+
+const requireUserId = (value) => {
+  if (typeof value !== 'string' || !value) {
+    throw new HttpError(400, 'userId is required');
+  }
+  return value;
+};
+
+const millisOf = (timestamp) => (timestamp?.toMillis ? timestamp.toMillis() : 0);
+
+// Moves the host role inside a transaction, keeping the `isHost` flags on
+// participant docs in step with `session.hostId`.
+const writeHostChange = (t, session, newHostId) => {
+  t.update(sessionRef(session.id), {
+    hostId: newHostId,
+    coHostIds: (session.coHostIds || []).filter(id => id !== newHostId)
+  });
+  t.update(participantRef(session.id, session.hostId), { isHost: false });
+  t.update(participantRef(session.id, newHostId), { isHost: true });
+};
+
+export const transferHost = async (uid, sessionId, { userId }) => {
+  const target = requireUserId(userId);
+
+  return db.runTransaction(async (t) => {
+    const session = await loadSession(sessionId, t);
+    assertHost(session, uid);
+    if (target === uid) {
+      throw new HttpError(400, 'You are already the host');
+    }
+    await loadParticipant(sessionId, target, t);
+    await loadParticipant(sessionId, uid, t);
+
+    writeHostChange(t, session, target);
+    return { hostId: target };
+  });
+};
+
+export const setCoHost = async (uid, sessionId, targetUid, { coHost }) => {
+  return db.runTransaction(async (t) => {
+    const session = await loadSession(sessionId, t);
+    assertHost(session, uid);
+    if (targetUid === session.hostId) {
+      throw new HttpError(400, 'The host is already in charge');
+    }
+    await loadParticipant(sessionId, targetUid, t);
+
+    t.update(sessionRef(sessionId), {
+      coHostIds: coHost ? FieldValue.arrayUnion(targetUid) : FieldValue.arrayRemove(targetUid)
+    });
+    return { coHost: !!coHost };
+  });
+};
+
+/**
+ * Kicks a participant and deletes their votes; with `ban` they cannot rejoin.
+ * Co-hosts may remove regular participants only. If the one removed was the
+ * last person the vote was waiting on, it closes.
+ */
+export const removeParticipant = async (uid, sessionId, targetUid, { ban = false } = {}) => {
+  const status = await db.runTransaction(async (t) => {
+    const session = await loadSession(sessionId, t);
+    assertModerator(session, uid);
+    if (targetUid === uid) {
+      throw new HttpError(400, 'You cannot remove yourself');
+    }
+    if (targetUid === session.hostId) {
+      throw new HttpError(400, 'Transfer the host role before removing the host');
+    }
+    if (session.hostId !== uid && isModerator(session, targetUid)) {
+      throw new HttpError(403, 'Only the host can remove a co-host');
+    }
+    if (!(await t.get(participantRef(sessionId, targetUid))).exists) {
+      throw new HttpError(404, 'That person is not in this session');
+    }
+    const votes = await t.get(votesQuery(sessionId).where('userId', '==', targetUid));
+
+    votes.docs.forEach(d => t.delete(d.ref));
+    t.delete(participantRef(sessionId, targetUid));
+    t.update(sessionRef(sessionId), {
+      coHostIds: FieldValue.arrayRemove(targetUid),
+      ...(ban ? { bannedIds: FieldValue.arrayUnion(targetUid) } : {})
+    });
+    return session.status;
+  });
+
+  const finished = status === 'voting' && await finishWhenEveryoneVoted(sessionId);
+  return { removed: targetUid, banned: !!ban, finished };
+};
+
+export const setLocked = async (uid, sessionId, { locked }) => {
+  const session = await loadSession(sessionId);
+  assertModerator(session, uid);
+
+  await sessionRef(sessionId).update({ locked: !!locked });
+  return { locked: !!locked };
+};
+
+/* -------------------------------------------------------------------------- */
+/* PRESENCE                                                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Hands the host role to the next person once the host has missed heartbeats
+ * for LEFT_AFTER_MS: a present co-host first, otherwise whoever joined
+ * earliest. Only the heartbeats count for the host, since a `leave` is also
+ * sent when they merely reload or follow a link.
+ *
+ * @returns {Promise<string|null>} the new host's uid, or null if unchanged
+ */
+export const reassignAbsentHost = async (sessionId, now = Date.now()) => {
+  return db.runTransaction(async (t) => {
+    const session = await loadSession(sessionId, t);
+    if (session.status === 'finished') return null;
+
+    const participants = (await t.get(participantsQuery(sessionId))).docs.map(d => d.data());
+    const isPresent = (p) => presenceOf(p, now) !== 'left';
+    const host = participants.find(p => p.userId === session.hostId);
+    if (host && now - millisOf(host.lastSeenAt) < LEFT_AFTER_MS) return null;
+
+    const present = participants
+      .filter(p => p.userId !== session.hostId && isPresent(p))
+      .sort((a, b) => millisOf(a.joinedAt) - millisOf(b.joinedAt));
+    const coHosts = session.coHostIds || [];
+    const successor = present.find(p => coHosts.includes(p.userId)) || present[0];
+    if (!successor) return null;
+
+    if (host) {
+      writeHostChange(t, session, successor.userId);
+    } else {
+      t.update(sessionRef(sessionId), {
+        hostId: successor.userId,
+        coHostIds: coHosts.filter(id => id !== successor.userId)
+      });
+      t.update(participantRef(sessionId, successor.userId), { isHost: true });
+    }
+    return successor.userId;
+  });
+};
+
+// Marks the caller as present (or away, when their tab is hidden), then checks
+// whether the host has gone missing.
+export const heartbeat = async (uid, sessionId, { away = false } = {}) => {
+  await loadParticipant(sessionId, uid);
+  await participantRef(sessionId, uid).update({
+    lastSeenAt: FieldValue.serverTimestamp(),
+    away: !!away,
+    leftAt: null
+  });
+  return { hostId: await reassignAbsentHost(sessionId) };
+};
+
+export const setTyping = async (uid, sessionId, { typing }) => {
+  await loadParticipant(sessionId, uid);
+  await participantRef(sessionId, uid).update({
+    lastSeenAt: FieldValue.serverTimestamp(),
+    typingAt: typing ? FieldValue.serverTimestamp() : null
+  });
+  return { typing: !!typing };
+};
+
+// Sent when the tab closes. The participant stays listed, marked as left; a
+// host keeps the role until their heartbeats stop, so a reload does not hand
+// it away.
+export const leaveSession = async (uid, sessionId) => {
+  await loadParticipant(sessionId, uid);
+  await participantRef(sessionId, uid).update({
+    leftAt: FieldValue.serverTimestamp(),
+    typingAt: null
+  });
+  return { left: true };
+};
+
+/* -------------------------------------------------------------------------- */
+/* LOCATION SHARING                                                           */
+/* -------------------------------------------------------------------------- */
+
+// Midpoint sessions search around the center of everyone who shared; `null`
+// withdraws a shared location.
+export const shareLocation = async (uid, sessionId, { coordinates }) => {
+  const session = await loadSession(sessionId);
+  assertStatus(session, 'open');
+  if (session.locationMode !== 'midpoint') {
+    throw new HttpError(409, 'This session searches around a fixed location');
+  }
+  await loadParticipant(sessionId, uid);
+
+  const shared = optionalCoordinates(coordinates);
+  await participantRef(sessionId, uid).update({ coordinates: shared });
+  return { shared: !!shared };
+};
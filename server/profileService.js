@@ -0,0 +1,63 @@
+import { userCollectionRef, FieldValue } from './firebase.js';
+import { HttpError } from './errors.js';
+import {
+  AVATAR_COLORS,
+  DIETARY_OPTIONS,
+  CUISINE_OPTIONS,
+  DEFAULT_PROFILE
+} from '../src/lib/profile.js';
+
+/* -------------------------------------------------------------------------- */
+/* PROFILES                                                                   */
+/* -------------------------------------------------------------------------- */
+
+// One doc per uid. It survives an anonymous account being upgraded, since
+// linking a credential keeps the uid.
+
+export const profileRef = (uid) => userCollectionRef(uid, 'profile').doc('main');
+
+const CUISINE_ALIASES = CUISINE_OPTIONS.map(c => c.alias);
+
+const optionList = (value, allowed, field) => {
+  if (!Array.isArray(value) || value.some(v => !allowed.includes(v))) {
+    throw new HttpError(400, `${field} contains an unknown option`);
+  }
+  return [...new Set(value)];
+};
+
+export const getProfile = async (uid) => {
+  const snap = await profileRef(uid).get();
+  return { ...DEFAULT_PROFILE, ...(snap.exists ? snap.data() : {}) };
+};
+
+/** Partial update: only the fields present in the body are changed. */
+export const updateProfile = async (uid, body = {}) => {
+  const update = {};
+  if (body.displayName !== undefined) {
+    if (typeof body.displayName !== 'string' || body.displayName.length > 60) {
+      throw new HttpError(400, 'displayName must be a string under 60 characters');
+    }
+    update.displayName = body.displayName.trim();
+  }
+  if (body.avatarColor !== undefined) {
+    if (body.avatarColor !== null && !AVATAR_COLORS.includes(body.avatarColor)) {
+      throw new HttpError(400, 'avatarColor is not one of the offered colors');
+    }
+    update.avatarColor = body.avatarColor;
+  }
+  if (body.dietary !== undefined) {
+    update.dietary = optionList(body.dietary, DIETARY_OPTIONS, 'dietary');
+  }
+  if (body.dislikedCuisines !== undefined) {
+    update.dislikedCuisines = optionList(body.dislikedCuisines, CUISINE_ALIASES, 'dislikedCuisines');
+  }
+
+  await profileRef(uid).set({ ...update, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+  return getProfile(uid);
+};
+
+// Saves the name typed into a session form so the next visit is prefilled.
+export const rememberDisplayName = async (uid, profile, name) => {
+  if (profile.displayName) return;
+  await profileRef(uid).set({ displayName: name, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+};
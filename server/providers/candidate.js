@@ -0,0 +1,111 @@
+// Every provider returns candidates in this shape so the rest of the app never
+// needs to know where a restaurant came from.
+const DEFAULT_IMAGE = "https://images.unsplash.com/photo-1517248135467-4c7edcad34c4?auto=format&fit=crop&w=800&q=60";
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+const toCoordinates = (raw) => {
+  const latitude = Number(raw?.latitude);
+  const longitude = Number(raw?.longitude);
+  return raw && Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+};
+
+const toHours = (raw) => {
+  if (!Array.isArray(raw)) return null;
+  const slots = raw
+    .map(slot => ({ day: Number(slot?.day), open: Number(slot?.open), close: Number(slot?.close) }))
+    .filter(slot => Number.isInteger(slot.day) && slot.day >= 0 && slot.day <= 6 &&
+      Number.isFinite(slot.open) && Number.isFinite(slot.close) && slot.open < slot.close);
+  return slots.length > 0 ? slots : null;
+};
+
+const toStringList = (value) => (Array.isArray(value) ? value.map(String) : []);
+
+// Links and images end up in every participant's `<a href>` and `<img src>`,
+// so anything but http(s) (a `javascript:` url, say) is dropped.
+const toWebUrl = (value) => {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+export const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Lists without aliases ("Halal, Burgers") get them derived from the cuisine
+// text, which lines up with Yelp's aliases for the common categories.
+const categoriesFromCuisine = (cuisine) =>
+  (cuisine || '').split(',').map(c => slugify(c).replace(/-/g, '_')).filter(Boolean);
+
+/**
+ * @typedef {Object} Candidate
+ * @property {string} id
+ * @property {string} name
+ * @property {string} image
+ * @property {number} rating
+ * @property {number} reviewCount
+ * @property {string|null} price "$".."$$$$", null when the provider does not say
+ * @property {string} cuisine
+ * @property {string[]} categories Yelp-style aliases, e.g. "burgers", "halal"
+ * @property {string} address
+ * @property {{latitude: number, longitude: number}|null} coordinates
+ * @property {string|null} url the provider's page for the place
+ * @property {string|null} phone
+ * @property {boolean} isClosed closed for good, not just right now
+ * @property {string[]} transactions e.g. "delivery", "pickup"
+ * @property {Array<{day: number, open: number, close: number}>|null} hours
+ *   weekly slots as described in `src/lib/hours.js`, null when unknown
+ */
+
+/** @returns {Candidate} */
+export const normalizeCandidate = (raw) => ({
+  id: String(raw.id),
+  name: String(raw.name),
+  image: toWebUrl(raw.image) || DEFAULT_IMAGE,
+  rating: toNumber(raw.rating),
+  reviewCount: toNumber(raw.reviewCount),
+  price: raw.price || null,
+  cuisine: raw.cuisine || "Restaurant",
+  categories: Array.isArray(raw.categories) && raw.categories.length > 0
+    ? raw.categories.map(String)
+    : categoriesFromCuisine(raw.cuisine),
+  address: raw.address || '',
+  // CSV lists carry flat latitude/longitude columns.
+  coordinates: toCoordinates(raw.coordinates || raw),
+  url: toWebUrl(raw.url),
+  phone: raw.phone || null,
+  isClosed: raw.isClosed === true,
+  transactions: toStringList(raw.transactions),
+  hours: toHours(raw.hours)
+});
+
+// Lowercased search words, so "Burgers and live music" matches "Burgers".
+const termWords = (term) =>
+  (term || '').toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 2);
+
+const haystackOf = (c) => `${c.name} ${c.cuisine}`.toLowerCase();
+
+/**
+ * Local search used by the providers that hold their own list. Restaurants
+ * matching an excluded category are dropped; the rest are narrowed to those
+ * matching the term or wanted categories, falling back to everything left so a
+ * vague craving still gets a slate.
+ */
+export const searchList = (list, { term, filters = {} } = {}) => {
+  const excluded = (filters.exclude || []).flatMap(termWords);
+  const allowed = list.filter(c => !excluded.some(w => haystackOf(c).includes(w)));
+
+  const words = [...termWords(term), ...(filters.categories || []).flatMap(termWords)]
+    .filter(w => w !== 'restaurants');
+  const matches = words.length === 0 ? allowed : allowed.filter(c =>
+    words.some(w => haystackOf(c).includes(w))
+  );
+  const pool = matches.length > 0 ? matches : allowed;
+  const offset = filters.offset || 0;
+  return pool.slice(offset, offset + (filters.limit || pool.length));
+};
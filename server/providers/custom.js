@@ -0,0 +1,44 @@
+import { normalizeCandidate, searchList, slugify } from './candidate.js';
+
+export const MAX_CUSTOM_ENTRIES = 30;
+
+/**
+ * Turns host input into candidate objects. Entries are either objects or
+ * strings in the form "Name | cuisine | address" with the last two optional.
+ */
+export const parseCustomList = (entries) => {
+  if (!Array.isArray(entries)) return [];
+
+  const seen = new Set();
+  return entries
+    .map(entry => {
+      if (typeof entry === 'string') {
+        const [name, cuisine, address] = entry.split('|').map(s => s.trim());
+        return { name, cuisine, address };
+      }
+      return entry || {};
+    })
+    .filter(entry => typeof entry.name === 'string' && entry.name.trim())
+    .slice(0, MAX_CUSTOM_ENTRIES)
+    .map(entry => normalizeCandidate({
+      ...entry,
+      name: entry.name.trim().slice(0, 100),
+      id: `custom-${slugify(entry.name)}`
+    }))
+    .filter(c => !seen.has(c.id) && seen.add(c.id));
+};
+
+// A team's own list. Every entry is a candidate regardless of the craving,
+// since the list was already curated by the host; the slate takes the best
+// SLATE_SIZE for the group and rerolls bring in the rest.
+export const createCustomListProvider = (entries) => {
+  const list = parseCustomList(entries);
+
+  return {
+    name: 'custom',
+
+    async search({ filters } = {}) {
+      return searchList(list, { filters });
+    }
+  };
+};
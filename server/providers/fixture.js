@@ -0,0 +1,75 @@
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeCandidate, searchList, slugify } from './candidate.js';
+
+export const DEFAULT_FIXTURE_FILE = fileURLToPath(new URL('../fixtures/restaurants.json', import.meta.url));
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes and embedded commas.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(r => r.some(cell => cell.trim()));
+  const keys = header.map(h => h.trim());
+  return records.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] || '').trim()])));
+};
+
+export const loadFixtureFile = async (file) => {
+  const text = await readFile(file, 'utf8');
+  const records = extname(file).toLowerCase() === '.csv' ? parseCsv(text) : JSON.parse(text);
+  if (!Array.isArray(records)) {
+    throw new Error(`Fixture file ${file} must contain a list of restaurants`);
+  }
+  return records
+    .filter(r => r.name)
+    .map(r => normalizeCandidate({ ...r, id: r.id || `fixture-${slugify(r.name)}` }));
+};
+
+// Serves restaurants from a local JSON or CSV file for offline dev and tests.
+// The file is read once per provider instance.
+export const createFixtureProvider = ({ file = process.env.FIXTURE_FILE || DEFAULT_FIXTURE_FILE } = {}) => {
+  let loaded;
+
+  return {
+    name: 'fixture',
+
+    async search({ term, filters } = {}) {
+      loaded = loaded || loadFixtureFile(file);
+      return searchList(await loaded, { term, filters });
+    }
+  };
+};
@@ -0,0 +1,76 @@
+import { createYelpProvider } from './yelp.js';
+import { createFixtureProvider } from './fixture.js';
+import { createCustomListProvider } from './custom.js';
+
+export { parseCustomList } from './custom.js';
+
+/**
+ * A restaurant provider turns a search into normalized candidates:
+ *
+ *   { name: string, search({ location, term, filters }) => Promise<Candidate[]> }
+ *
+ * `filters` may carry `limit`, `categories` (Yelp aliases), `price` (levels
+ * 1-4), `radius` (meters), `center` ({latitude, longitude}, searched instead
+ * of the text location), `offset` (results to skip, for paging) and `exclude`
+ * (aliases or words to drop); providers ignore filters they cannot express.
+ *
+ * Providers whose search leaves fields out may also implement
+ * `details(candidate) => Promise<Candidate>` to fill them in.
+ */
+const PROVIDER_FACTORIES = {
+  yelp: createYelpProvider,
+  fixture: createFixtureProvider
+};
+
+const providers = {};
+
+export const getProvider = (name) => {
+  if (!PROVIDER_FACTORIES[name]) {
+    throw new Error(`Unknown restaurant provider: ${name}`);
+  }
+  providers[name] = providers[name] || PROVIDER_FACTORIES[name]();
+  return providers[name];
+};
+
+export const DEFAULT_PROVIDER = process.env.RESTAURANT_PROVIDER || 'yelp';
+// Stands in for a whole slate when the configured provider is down.
+export const FALLBACK_PROVIDER = 'fixture';
+// Also the page size when a reroll pages through results.
+export const CANDIDATE_LIMIT = 10;
+
+/**
+ * Runs one search for a session. Sessions with their own list get all of it;
+ * otherwise `provider` is searched, the configured one by default. Failures
+ * are thrown, not covered with fixture data, so a caller can fall back for a
+ * whole slate at once and never mixes real and made-up places.
+ *
+ * @param {Object} options
+ * @param {string} [options.provider] a name from PROVIDER_FACTORIES
+ * @returns {Promise<{candidates: Array, provider: string}>}
+ */
+export const findCandidates = async ({ location, term, filters: searchFilters = {}, customList, provider: providerName = DEFAULT_PROVIDER }) => {
+  const filters = { limit: CANDIDATE_LIMIT, ...searchFilters };
+
+  if (customList && customList.length > 0) {
+    const provider = createCustomListProvider(customList);
+    // The whole list, not a page of it: the slate picks among every entry.
+    return { candidates: await provider.search({ filters: { offset: filters.offset } }), provider: provider.name };
+  }
+
+  const provider = getProvider(providerName);
+  return { candidates: await provider.search({ location, term, filters }), provider: provider.name };
+};
+
+/**
+ * Fills in what the provider only returns per place, such as Yelp's opening
+ * hours. A failed lookup leaves that candidate as it was.
+ */
+export const addDetails = async (candidates, providerName) => {
+  const provider = PROVIDER_FACTORIES[providerName] ? getProvider(providerName) : null;
+  if (!provider?.details) return candidates;
+
+  return Promise.all(candidates.map(c => provider.details(c).catch(error => {
+    console.error(`Details for ${c.id} from ${providerName} failed:`, error.message);
+    return c;
+  })));
+};
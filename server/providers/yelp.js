@@ -0,0 +1,67 @@
+import { normalizeCandidate } from './candidate.js';
+import { searchYelp, fetchYelpBusiness } from '../yelpSearch.js';
+
+const minutesOf = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(2, 4));
+
+// Yelp counts days from Monday and gives "HHMM" strings; slots that end at or
+// before they start run past midnight.
+const toHours = (yelpHours) => {
+  const regular = (yelpHours || []).find(h => h.hour_type === 'REGULAR') || yelpHours?.[0];
+  return (regular?.open || []).map(slot => {
+    const open = minutesOf(slot.start);
+    const end = minutesOf(slot.end);
+    return {
+      day: (slot.day + 1) % 7,
+      open,
+      close: slot.is_overnight || end <= open ? end + 24 * 60 : end
+    };
+  });
+};
+
+export const createYelpProvider = ({ apiKey = process.env.YELP_API_KEY } = {}) => ({
+  name: 'yelp',
+
+  async search({ location, term, filters = {} }) {
+    const data = await searchYelp({
+      location,
+      latitude: filters.center?.latitude,
+      longitude: filters.center?.longitude,
+      term,
+      limit: filters.limit,
+      offset: filters.offset,
+      categories: filters.categories,
+      price: filters.price,
+      radius: filters.radius
+    }, { apiKey });
+
+    // Yelp has no "not in category" search, so exclusions are applied here.
+    const exclude = new Set(filters.exclude || []);
+    const businesses = (data.businesses || []).filter(b =>
+      !(b.categories || []).some(c => exclude.has(c.alias))
+    );
+
+    // Map Yelp data to our app's format
+    return businesses.map(b => normalizeCandidate({
+      id: b.id,
+      name: b.name,
+      image: b.image_url,
+      rating: b.rating,
+      reviewCount: b.review_count,
+      price: b.price,
+      cuisine: (b.categories || []).map(c => c.title).join(', '),
+      categories: (b.categories || []).map(c => c.alias),
+      address: b.location?.display_address?.join(', ') || b.location?.address1 || b.location?.city,
+      coordinates: b.coordinates,
+      url: b.url,
+      phone: b.display_phone || b.phone,
+      isClosed: b.is_closed,
+      transactions: b.transactions
+    }));
+  },
+
+  // Search results leave out hours; they come from one details call per place.
+  async details(candidate) {
+    const business = await fetchYelpBusiness(candidate.id, { apiKey });
+    return normalizeCandidate({ ...candidate, hours: toHours(business.hours) });
+  }
+});
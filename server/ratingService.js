@@ -0,0 +1,86 @@
+import { collectionRef, FieldValue } from './firebase.js';
+import { HttpError } from './errors.js';
+import { loadSession, loadParticipant, findWhereIn } from './sessionStore.js';
+import { finishedSessionsOf } from './historyService.js';
+import { MAX_STARS, RATING_TAGS } from '../src/lib/ratings.js';
+
+/* -------------------------------------------------------------------------- */
+/* MEAL RATINGS                                                               */
+/* -------------------------------------------------------------------------- */
+
+// One doc per user and restaurant, so rating a place again replaces the older
+// opinion. Skipping ("didn't go") is stored too, so the prompt stops asking.
+
+const RATING_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+
+const ratingRef = (uid, rid) => collectionRef('ratings').doc(`${uid}_${rid}`);
+
+const millisOf = (timestamp) => (timestamp?.toMillis ? timestamp.toMillis() : 0);
+
+/**
+ * The latest finished session whose winner this user has not rated since it
+ * won, or null. Sessions older than the rating window are not asked about.
+ */
+export const pendingRating = async (uid, now = Date.now()) => {
+  const recent = (await finishedSessionsOf([uid]))
+    .filter(s => s.winner && now - millisOf(s.finishedAt) < RATING_WINDOW_MS);
+  const latest = recent[0];
+  if (!latest) return null;
+
+  const rating = await ratingRef(uid, latest.winner.id).get();
+  if (rating.exists && millisOf(rating.data().updatedAt) >= millisOf(latest.finishedAt)) return null;
+
+  return {
+    sessionId: latest.id,
+    location: latest.location,
+    finishedAt: millisOf(latest.finishedAt),
+    winner: latest.winner
+  };
+};
+
+export const rateMeal = async (uid, { sessionId, stars, tags = [], skipped = false }) => {
+  const session = await loadSession(sessionId);
+  await loadParticipant(sessionId, uid);
+  if (session.status !== 'finished' || !session.winner) {
+    throw new HttpError(409, 'Only a finished session can be rated');
+  }
+  if (!skipped && (!Number.isInteger(stars) || stars < 1 || stars > MAX_STARS)) {
+    throw new HttpError(400, `stars must be between 1 and ${MAX_STARS}`);
+  }
+  if (!Array.isArray(tags) || tags.some(t => !RATING_TAGS.includes(t))) {
+    throw new HttpError(400, 'tags contains an unknown tag');
+  }
+
+  await ratingRef(uid, session.winner.id).set({
+    userId: uid,
+    restaurantId: session.winner.id,
+    restaurantName: session.winner.name,
+    sessionId,
+    stars: skipped ? null : stars,
+    tags: skipped ? [] : [...new Set(tags)],
+    skipped: !!skipped,
+    updatedAt: FieldValue.serverTimestamp()
+  });
+  return { ok: true };
+};
+
+/**
+ * Everything these users have rated, keyed like the rotation map so a place
+ * is recognised across providers.
+ *
+ * @returns {Promise<Map<string, number[]>>} id or lowercased name -> stars
+ */
+export const groupRatings = async (userIds) => {
+  const ratings = new Map();
+  if (userIds.length === 0) return ratings;
+
+  (await findWhereIn('ratings', 'userId', userIds))
+    .filter(r => !r.skipped && r.stars)
+    .forEach(r => {
+      [r.restaurantId, r.restaurantName.toLowerCase()].forEach(key => {
+        if (!ratings.has(key)) ratings.set(key, []);
+        ratings.get(key).push(r.stars);
+      });
+    });
+  return ratings;
+};
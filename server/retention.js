@@ -0,0 +1,104 @@
+import { db, collectionRef, Timestamp } from './firebase.js';
+import { sessionRef, votesQuery, participantsQuery } from './sessionStore.js';
+import { MAX_ROTATION_DAYS } from '../src/lib/rotation.js';
+
+/* -------------------------------------------------------------------------- */
+/* DATA RETENTION                                                             */
+/* -------------------------------------------------------------------------- */
+
+// Every session carries an `expiresAt`. Unfinished sessions are abandoned
+// after a day; finished ones feed history, rotation and rating prompts, so
+// they are kept for at least the longest rotation window. Once a session
+// expires, the cleanup job deletes it together with its participants and votes.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const OPEN_SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 24) * HOUR_MS;
+export const FINISHED_SESSION_TTL_MS =
+  Math.max(Number(process.env.FINISHED_SESSION_RETENTION_DAYS) || 90, MAX_ROTATION_DAYS) * DAY_MS;
+
+const DEFAULT_INTERVAL_MS = HOUR_MS;
+const PURGE_BATCH = 100;
+// Firestore allows 500 writes per batch.
+const MAX_BATCH_WRITES = 500;
+
+/** `expiresAt` for a session entering `status` at `now`. */
+export const expiresAtFor = (status, now = Date.now()) =>
+  Timestamp.fromMillis(now + (status === 'finished' ? FINISHED_SESSION_TTL_MS : OPEN_SESSION_TTL_MS));
+
+const deleteAll = async (refs) => {
+  for (let i = 0; i < refs.length; i += MAX_BATCH_WRITES) {
+    const batch = db.batch();
+    refs.slice(i, i + MAX_BATCH_WRITES).forEach(ref => batch.delete(ref));
+    await batch.commit();
+  }
+};
+
+// Children first, so a half-finished purge leaves a session that the next
+// run still finds.
+export const deleteSession = async (sessionId) => {
+  const [votes, participants] = await Promise.all([
+    votesQuery(sessionId).get(),
+    participantsQuery(sessionId).get()
+  ]);
+  await deleteAll([...votes.docs, ...participants.docs].map(d => d.ref));
+  await sessionRef(sessionId).delete();
+};
+
+// Sessions from before `expiresAt` existed are caught by age instead.
+const findExpiredIds = async (now, limit) => {
+  const [expired, legacy] = await Promise.all([
+    collectionRef('sessions').where('expiresAt', '<=', Timestamp.fromMillis(now)).limit(limit).get(),
+    collectionRef('sessions').where('createdAt', '<=', Timestamp.fromMillis(now - FINISHED_SESSION_TTL_MS)).limit(limit).get()
+  ]);
+  return [
+    ...expired.docs.map(d => d.id),
+    ...legacy.docs.filter(d => !d.data().expiresAt).map(d => d.id)
+  ];
+};
+
+/**
+ * Deletes expired sessions with their participants and votes, `limit` at a
+ * time until none are left.
+ *
+ * @returns {Promise<number>} sessions deleted
+ */
+export const purgeExpiredSessions = async ({ now = Date.now(), limit = PURGE_BATCH } = {}) => {
+  let deleted = 0;
+  for (;;) {
+    const ids = await findExpiredIds(now, limit);
+    let progress = 0;
+    for (const id of ids) {
+      try {
+        await deleteSession(id);
+        progress += 1;
+      } catch (error) {
+        console.error(`Failed to delete expired session ${id}:`, error.message);
+      }
+    }
+    deleted += progress;
+    if (ids.length < limit || progress === 0) return deleted;
+  }
+};
+
+// Same shape as the deadline sweeper: one run at a time, returns a stop function.
+export const startCleanup = ({ intervalMs = DEFAULT_INTERVAL_MS } = {}) => {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const deleted = await purgeExpiredSessions();
+      if (deleted > 0) console.log(`Deleted ${deleted} expired session(s)`);
+    } catch (error) {
+      console.error('Session cleanup failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  return () => clearInterval(timer);
+};
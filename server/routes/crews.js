@@ -0,0 +1,30 @@
+import { Router } from 'express';
+import { requireUser } from '../auth.js';
+import { asyncHandler } from '../errors.js';
+import * as crews from '../crewService.js';
+
+const router = Router();
+
+router.use(requireUser);
+
+router.post('/', asyncHandler(async (req, res) => {
+  res.status(201).json(await crews.createCrew(req.uid, req.body));
+}));
+
+router.patch('/:crewId', asyncHandler(async (req, res) => {
+  res.json(await crews.updateCrew(req.uid, req.params.crewId, req.body));
+}));
+
+router.post('/:crewId/join', asyncHandler(async (req, res) => {
+  res.json(await crews.joinCrew(req.uid, req.params.crewId, req.body));
+}));
+
+router.post('/:crewId/leave', asyncHandler(async (req, res) => {
+  res.json(await crews.leaveCrew(req.uid, req.params.crewId));
+}));
+
+router.post('/:crewId/sessions', asyncHandler(async (req, res) => {
+  res.json(await crews.startCrewSession(req.uid, req.params.crewId));
+}));
+
+export default router;
@@ -0,0 +1,14 @@
+import { Router } from 'express';
+import { requireUser } from '../auth.js';
+import { asyncHandler } from '../errors.js';
+import * as history from '../historyService.js';
+
+const router = Router();
+
+router.use(requireUser);
+
+router.get('/', asyncHandler(async (req, res) => {
+  res.json(await history.getUserHistory(req.uid));
+}));
+
+export default router;
@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import { requireUser } from '../auth.js';
+import { asyncHandler } from '../errors.js';
+import * as profiles from '../profileService.js';
+
+const router = Router();
+
+router.use(requireUser);
+
+router.get('/', asyncHandler(async (req, res) => {
+  res.json(await profiles.getProfile(req.uid));
+}));
+
+router.put('/', asyncHandler(async (req, res) => {
+  res.json(await profiles.updateProfile(req.uid, req.body));
+}));
+
+export default router;
@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import { requireUser } from '../auth.js';
+import { asyncHandler } from '../errors.js';
+import * as ratings from '../ratingService.js';
+
+const router = Router();
+
+router.use(requireUser);
+
+router.get('/pending', asyncHandler(async (req, res) => {
+  res.json({ pending: await ratings.pendingRating(req.uid) });
+}));
+
+router.put('/', asyncHandler(async (req, res) => {
+  res.json(await ratings.rateMeal(req.uid, req.body));
+}));
+
+export default router;
@@ -0,0 +1,114 @@
+import { Router } from 'express';
+import { requireUser } from '../auth.js';
+import { asyncHandler } from '../errors.js';
+import * as sessions from '../sessionService.js';
+import * as participants from '../participantService.js';
+import * as nominations from '../nominationService.js';
+import * as slate from '../slateService.js';
+
+const router = Router();
+
+router.use(requireUser);
+
+router.post('/', asyncHandler(async (req, res) => {
+  res.status(201).json(await sessions.createSession(req.uid, req.body));
+}));
+
+router.post('/:sessionId/join', asyncHandler(async (req, res) => {
+  res.json(await sessions.joinSession(req.uid, req.params.sessionId, req.body));
+}));
+
+router.put('/:sessionId/preference', asyncHandler(async (req, res) => {
+  res.json(await sessions.submitPreference(req.uid, req.params.sessionId, req.body));
+}));
+
+router.post('/:sessionId/start', asyncHandler(async (req, res) => {
+  res.json(await sessions.startVoting(req.uid, req.params.sessionId));
+}));
+
+router.put('/:sessionId/votes/:restaurantId', asyncHandler(async (req, res) => {
+  res.json(await sessions.castVote(req.uid, req.params.sessionId, { restaurantId: req.params.restaurantId }));
+}));
+
+router.delete('/:sessionId/votes/:restaurantId', asyncHandler(async (req, res) => {
+  res.json(await sessions.removeVote(req.uid, req.params.sessionId, req.params.restaurantId));
+}));
+
+router.put('/:sessionId/ranking', asyncHandler(async (req, res) => {
+  res.json(await sessions.submitRanking(req.uid, req.params.sessionId, req.body));
+}));
+
+router.put('/:sessionId/swipes/:restaurantId', asyncHandler(async (req, res) => {
+  res.json(await sessions.swipe(req.uid, req.params.sessionId, req.params.restaurantId, req.body));
+}));
+
+router.post('/:sessionId/rounds', asyncHandler(async (req, res) => {
+  res.json(await sessions.endRound(req.uid, req.params.sessionId));
+}));
+
+router.post('/:sessionId/deadline', asyncHandler(async (req, res) => {
+  res.json(await sessions.enforceDeadline(req.uid, req.params.sessionId));
+}));
+
+router.post('/:sessionId/finish', asyncHandler(async (req, res) => {
+  res.json(await sessions.finishSession(req.uid, req.params.sessionId));
+}));
+
+router.post('/:sessionId/heartbeat', asyncHandler(async (req, res) => {
+  res.json(await participants.heartbeat(req.uid, req.params.sessionId, req.body));
+}));
+
+router.put('/:sessionId/typing', asyncHandler(async (req, res) => {
+  res.json(await participants.setTyping(req.uid, req.params.sessionId, req.body));
+}));
+
+router.post('/:sessionId/leave', asyncHandler(async (req, res) => {
+  res.json(await participants.leaveSession(req.uid, req.params.sessionId));
+}));
+
+router.post('/:sessionId/host', asyncHandler(async (req, res) => {
+  res.json(await participants.transferHost(req.uid, req.params.sessionId, req.body));
+}));
+
+router.put('/:sessionId/cohosts/:userId', asyncHandler(async (req, res) => {
+  res.json(await participants.setCoHost(req.uid, req.params.sessionId, req.params.userId, req.body));
+}));
+
+router.delete('/:sessionId/participants/:userId', asyncHandler(async (req, res) => {
+  const ban = req.body?.ban === true || req.query.ban === 'true';
+  res.json(await participants.removeParticipant(req.uid, req.params.sessionId, req.params.userId, { ban }));
+}));
+
+router.put('/:sessionId/location', asyncHandler(async (req, res) => {
+  res.json(await participants.shareLocation(req.uid, req.params.sessionId, req.body));
+}));
+
+router.get('/:sessionId/search', asyncHandler(async (req, res) => {
+  res.json(await nominations.searchRestaurants(req.uid, req.params.sessionId, req.query));
+}));
+
+router.post('/:sessionId/nominations', asyncHandler(async (req, res) => {
+  res.json(await nominations.nominate(req.uid, req.params.sessionId, req.body));
+}));
+
+router.delete('/:sessionId/nominations/:restaurantId', asyncHandler(async (req, res) => {
+  res.json(await nominations.withdrawNomination(req.uid, req.params.sessionId, req.params.restaurantId));
+}));
+
+router.post('/:sessionId/vetoes/:restaurantId', asyncHandler(async (req, res) => {
+  res.json(await nominations.vetoCandidate(req.uid, req.params.sessionId, req.params.restaurantId));
+}));
+
+router.post('/:sessionId/slate/reroll', asyncHandler(async (req, res) => {
+  res.json(await slate.rerollSlate(req.uid, req.params.sessionId));
+}));
+
+router.post('/:sessionId/candidates/:restaurantId/replace', asyncHandler(async (req, res) => {
+  res.json(await slate.replaceCandidate(req.uid, req.params.sessionId, req.params.restaurantId));
+}));
+
+router.put('/:sessionId/lock', asyncHandler(async (req, res) => {
+  res.json(await participants.setLocked(req.uid, req.params.sessionId, req.body));
+}));
+
+export default router;
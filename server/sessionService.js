@@ -0,0 +1,654 @@
+import { randomInt } from 'crypto';
+import { db, collectionRef, FieldValue, Timestamp } from './firebase.js';
+import { HttpError } from './errors.js';
+import {
+  sessionRef,
+  participantRef,
+  voteRef,
+  votesQuery,
+  participantsQuery,
+  loadSession,
+  loadParticipant,
+  requireString,
+  optionalCoordinates,
+  assertModerator,
+  assertStatus
+} from './sessionStore.js';
+import { parseCustomList } from './providers/index.js';
+import { buildSlate, candidateKeys } from './aggregation.js';
+import { expiresAtFor } from './retention.js';
+import {
+  VOTING_MODES,
+  DEFAULT_VOTING_MODE,
+  isRankedMode,
+  isSwipeMode,
+  isRoundMode,
+  activeCandidates,
+  currentRoundVotes,
+  planElimination,
+  hasFinishedVoting,
+  findUnanimousMatch,
+  tallyVotes,
+  resolveWinner,
+  createTieBreakSeed,
+  MAX_VETOES_PER_PERSON
+} from '../src/lib/scoring.js';
+import { parseCraving, dismissChips, cravingsToFilters, withStanding, hasStanding, MAX_PREFERENCE_LENGTH } from '../src/lib/cravings.js';
+import { standingFromProfile } from '../src/lib/profile.js';
+import { getProfile, rememberDisplayName } from './profileService.js';
+import { recentWinners } from './historyService.js';
+import { groupRatings } from './ratingService.js';
+import { ROTATION_MODES, MAX_ROTATION_DAYS, rotationCutoff } from '../src/lib/rotation.js';
+import { LOCATION_MODES, MAX_RADIUS, centroid } from '../src/lib/geo.js';
+import { isMealTime, isTimeZone, mealClock } from '../src/lib/hours.js';
+import { presenceOf } from '../src/lib/presence.js';
+
+/* -------------------------------------------------------------------------- */
+/* STATE MACHINE                                                              */
+/* -------------------------------------------------------------------------- */
+
+// Every status change is checked by `assertTransition`, so this table is the
+// single source of truth for what a session may do next.
+export const SESSION_TRANSITIONS = {
+  open: ['voting'],
+  voting: ['finished'],
+  finished: []
+};
+
+const assertTransition = (session, nextStatus) => {
+  const allowed = SESSION_TRANSITIONS[session.status] || [];
+  if (!allowed.includes(nextStatus)) {
+    throw new HttpError(409, `Cannot move a session from ${session.status} to ${nextStatus}`);
+  }
+};
+
+/* -------------------------------------------------------------------------- */
+/* HELPERS                                                                    */
+/* -------------------------------------------------------------------------- */
+
+const SESSION_ID_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const SESSION_ID_LENGTH = 6;
+const MAX_ID_ATTEMPTS = 5;
+
+const generateSessionId = () =>
+  Array.from({ length: SESSION_ID_LENGTH }, () => SESSION_ID_ALPHABET[randomInt(SESSION_ID_ALPHABET.length)]).join('');
+
+// Retries on collisions with live or not-yet-purged sessions. The session doc
+// itself is written with `create`, so a race between two hosts fails instead
+// of overwriting.
+const allocateSessionId = async () => {
+  for (let attempt = 0; attempt < MAX_ID_ATTEMPTS; attempt++) {
+    const sessionId = generateSessionId();
+    if (!(await sessionRef(sessionId).get()).exists) return sessionId;
+  }
+  throw new HttpError(503, 'Could not allocate a session ID, please try again');
+};
+
+const roundOf = (session) => (isRoundMode(session.votingMode) ? session.round || 1 : undefined);
+
+export const MAX_DEADLINE_MINUTES = 120;
+
+const optionalMinutes = (value, field) => {
+  if (value == null || value === '' || value === 0) return null;
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_DEADLINE_MINUTES) {
+    throw new HttpError(400, `${field} must be between 1 and ${MAX_DEADLINE_MINUTES} minutes`);
+  }
+  return minutes;
+};
+
+// `null` means rotation is off.
+export const optionalRotation = (days, mode) => {
+  if (days == null || days === '' || days === 0) return null;
+  const count = Number(days);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_ROTATION_DAYS) {
+    throw new HttpError(400, `rotationDays must be between 1 and ${MAX_ROTATION_DAYS}`);
+  }
+  return { days: count, mode: ROTATION_MODES[mode] ? mode : 'downrank' };
+};
+
+const optionalRadius = (value) => {
+  if (value == null || value === '' || value === 0) return null;
+  const meters = Number(value);
+  if (!Number.isInteger(meters) || meters < 100 || meters > MAX_RADIUS) {
+    throw new HttpError(400, `radius must be between 100 and ${MAX_RADIUS} meters`);
+  }
+  return meters;
+};
+
+const optionalVetoes = (value) => {
+  if (value == null || value === '') return 0;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0 || count > MAX_VETOES_PER_PERSON) {
+    throw new HttpError(400, `vetoesPerPerson must be between 0 and ${MAX_VETOES_PER_PERSON}`);
+  }
+  return count;
+};
+
+// Groups everyone's nominations by place, most-nominated first.
+const collectNominations = (participants) => {
+  const byPlace = new Map();
+  participants.forEach(p => (p.nominations || []).forEach(candidate => {
+    const key = candidate.name.trim().toLowerCase();
+    if (!byPlace.has(key)) byPlace.set(key, { candidate, nominatedBy: [] });
+    byPlace.get(key).nominatedBy.push(p.name);
+  }));
+  return [...byPlace.values()].sort((a, b) => b.nominatedBy.length - a.nominatedBy.length);
+};
+
+// `null` means no open-hours filter.
+const optionalOpenAt = (value) => {
+  if (value == null || value === '') return null;
+  if (value !== 'now' && !isMealTime(value)) {
+    throw new HttpError(400, 'openAt must be "now" or a time like 12:30');
+  }
+  return value;
+};
+
+const deadlineIn = (minutes) => (minutes ? Timestamp.fromMillis(Date.now() + minutes * 60 * 1000) : null);
+
+const isPast = (deadline, now) => !!deadline && deadline.toMillis() <= now;
+
+// Copied onto the participant doc at join time, so a profile edit mid-session
+// does not shift a slate that is already being voted on.
+const profileFields = (profile) => ({
+  avatarColor: profile.avatarColor,
+  standing: standingFromProfile(profile)
+});
+
+const assertCandidate = (session, rid) => {
+  if (!activeCandidates(session).some(c => c.id === rid)) {
+    throw new HttpError(400, 'Unknown restaurant');
+  }
+};
+
+/* -------------------------------------------------------------------------- */
+/* OPERATIONS                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Validates a new session and reserves its id without writing anything yet.
+ * `write` adds the session and host participant to a batch or transaction;
+ * `afterCommit` runs once that has committed.
+ *
+ * @param {string} uid
+ * @param {Object} body request body from the client
+ * @param {{crewId?: string}} [options] server-side only; the crew service
+ *   checks membership before passing a crew id through
+ * @returns {Promise<{sessionId: string, write: (writer: Object) => void, afterCommit: () => Promise<void>}>}
+ */
+export const prepareSession = async (uid, {
+  name, location, coordinates, radius, locationMode, votingMode, customList,
+  lobbyMinutes, votingMinutes, rotationDays, rotationMode, openAt, timeZone, vetoesPerPerson
+}, { crewId = null } = {}) => {
+  const hostName = requireString(name, 'name', 60);
+  const sessionLocation = requireString(location, 'location');
+  const lobbyLimit = optionalMinutes(lobbyMinutes, 'lobbyMinutes');
+  const votingLimit = optionalMinutes(votingMinutes, 'votingMinutes');
+  const rotation = optionalRotation(rotationDays, rotationMode);
+  const sessionCoordinates = optionalCoordinates(coordinates);
+  const mode = LOCATION_MODES[locationMode] ? locationMode : 'fixed';
+  const sessionId = await allocateSessionId();
+  const list = parseCustomList(customList);
+  const profile = await getProfile(uid);
+
+  const write = (writer) => {
+    writer.create(sessionRef(sessionId), {
+      hostId: uid,
+      location: sessionLocation,
+      coordinates: sessionCoordinates,
+      // Where the search is centered; midpoint sessions move it at start.
+      center: sessionCoordinates,
+      radius: optionalRadius(radius),
+      locationMode: mode,
+      openAt: optionalOpenAt(openAt),
+      // The host's zone, for reading a meal time like "12:30" against hours.
+      timeZone: isTimeZone(timeZone) ? timeZone : null,
+      votingMode: VOTING_MODES[votingMode] ? votingMode : DEFAULT_VOTING_MODE,
+      status: 'open',
+      createdAt: FieldValue.serverTimestamp(),
+      expiresAt: expiresAtFor('open'),
+      customList: list,
+      provider: null,
+      candidates: [],
+      lobbyMinutes: lobbyLimit,
+      votingMinutes: votingLimit,
+      lobbyDeadline: deadlineIn(lobbyLimit),
+      votingDeadline: null,
+      coHostIds: [],
+      bannedIds: [],
+      locked: false,
+      crewId,
+      rotation,
+      vetoesPerPerson: optionalVetoes(vetoesPerPerson),
+      vetoes: []
+    });
+    writer.set(participantRef(sessionId, uid), {
+      sessionId,
+      userId: uid,
+      name: hostName,
+      preference: '',
+      isHost: true,
+      crewId,
+      // In midpoint mode the host's coordinates are where they are.
+      coordinates: mode === 'midpoint' ? sessionCoordinates : null,
+      ...profileFields(profile),
+      joinedAt: FieldValue.serverTimestamp(),
+      lastSeenAt: FieldValue.serverTimestamp()
+    });
+  };
+
+  return { sessionId, write, afterCommit: () => rememberDisplayName(uid, profile, hostName) };
+};
+
+export const createSession = async (uid, body, options) => {
+  const { sessionId, write, afterCommit } = await prepareSession(uid, body, options);
+  const batch = db.batch();
+  write(batch);
+  await batch.commit();
+  await afterCommit();
+
+  return { sessionId };
+};
+
+export const joinSession = async (uid, sessionId, { name }) => {
+  const participantName = requireString(name, 'name', 60);
+  const session = await loadSession(sessionId);
+  if (session.status === 'finished') {
+    throw new HttpError(409, 'This session has already finished');
+  }
+  if ((session.bannedIds || []).includes(uid)) {
+    throw new HttpError(403, 'You have been removed from this session');
+  }
+  const existing = await participantRef(sessionId, uid).get();
+  if (session.locked && !existing.exists) {
+    throw new HttpError(423, 'The host has locked this session');
+  }
+  const profile = await getProfile(uid);
+
+  await participantRef(sessionId, uid).set({
+    sessionId,
+    userId: uid,
+    name: participantName,
+    isHost: session.hostId === uid,
+    crewId: session.crewId || null,
+    ...profileFields(profile),
+    ...(existing.exists ? {} : { joinedAt: FieldValue.serverTimestamp() }),
+    lastSeenAt: FieldValue.serverTimestamp(),
+    away: false,
+    leftAt: null
+  }, { merge: true });
+  await rememberDisplayName(uid, profile, participantName);
+
+  return { sessionId };
+};
+
+export const submitPreference = async (uid, sessionId, { preference, dismissed = [] }) => {
+  if (typeof preference !== 'string' || preference.length > MAX_PREFERENCE_LENGTH) {
+    throw new HttpError(400, `preference must be a string of at most ${MAX_PREFERENCE_LENGTH} characters`);
+  }
+  if (!Array.isArray(dismissed)) {
+    throw new HttpError(400, 'dismissed must be a list of chip ids');
+  }
+  const session = await loadSession(sessionId);
+  assertStatus(session, 'open');
+  const participant = await loadParticipant(sessionId, uid);
+
+  const text = preference.trim();
+  await participantRef(sessionId, uid).update({
+    preference: text,
+    parsedPreference: text ? dismissChips(withStanding(parseCraving(text), participant.standing), dismissed) : null,
+    typingAt: null
+  });
+  return { ok: true };
+};
+
+export const startVoting = async (uid, sessionId) => {
+  const session = await loadSession(sessionId);
+  assertModerator(session, uid);
+  return openVoting(session);
+};
+
+/**
+ * Everything `buildSlate` needs to know about a session and its participants.
+ * Shared by the first slate and by rerolls.
+ */
+export const slateRequest = async (session) => {
+  const participants = await participantsQuery(session.id).get();
+  const userIds = participants.docs.map(d => d.data().userId);
+  const [recentWins, ratings] = await Promise.all([
+    session.rotation ? recentWinners(userIds, rotationCutoff(session.rotation, Date.now())) : new Map(),
+    groupRatings(userIds)
+  ]);
+  // Participants without a preference count as flexible (null) in scoring,
+  // unless their profile carries standing constraints.
+  const cravings = participants.docs
+    .map(d => d.data())
+    .map(p => {
+      if (p.preference) return p.parsedPreference || withStanding(parseCraving(p.preference), p.standing);
+      return hasStanding(p.standing) ? withStanding(parseCraving(''), p.standing) : null;
+    });
+
+  const center = session.locationMode === 'midpoint'
+    ? centroid(participants.docs.map(d => d.data().coordinates)) || session.coordinates
+    : session.coordinates;
+
+  return {
+    location: session.location,
+    center,
+    radius: session.radius,
+    customList: session.customList,
+    cravings,
+    filters: cravingsToFilters(cravings.filter(Boolean)),
+    rotation: session.rotation,
+    recentWins,
+    ratings,
+    mealTime: mealClock(session.openAt, Date.now(), session.timeZone),
+    nominations: collectNominations(participants.docs.map(d => d.data()))
+  };
+};
+
+// Shared by the host's start button and the lobby deadline.
+const openVoting = async (session) => {
+  const sessionId = session.id;
+  assertTransition(session, 'voting');
+
+  const request = await slateRequest(session);
+  const { candidates, provider } = await buildSlate(request);
+  if (candidates.length === 0) {
+    throw new HttpError(502, 'No restaurants found for this session');
+  }
+
+  await db.runTransaction(async (t) => {
+    const current = await loadSession(sessionId, t);
+    assertTransition(current, 'voting');
+    t.update(sessionRef(sessionId), {
+      status: 'voting',
+      candidates,
+      provider,
+      center: request.center || null,
+      seenKeys: candidates.flatMap(candidateKeys),
+      slatePage: 0,
+      slateChanges: [],
+      round: 1,
+      eliminated: [],
+      roundHistory: [],
+      votingDeadline: deadlineIn(current.votingMinutes)
+    });
+  });
+
+  return { provider };
+};
+
+export const castVote = async (uid, sessionId, { restaurantId }) => {
+  const session = await loadSession(sessionId);
+  assertStatus(session, 'voting');
+  await loadParticipant(sessionId, uid);
+  assertCandidate(session, restaurantId);
+  if (isRankedMode(session.votingMode)) {
+    throw new HttpError(400, 'Ranked sessions take a full ranking instead');
+  }
+  if (isSwipeMode(session.votingMode)) {
+    throw new HttpError(400, 'Swipe sessions take swipes instead');
+  }
+
+  const batch = db.batch();
+  if (session.votingMode === 'single') {
+    const mine = await votesQuery(sessionId).where('userId', '==', uid).get();
+    mine.docs.forEach(d => batch.delete(d.ref));
+  }
+  const round = roundOf(session);
+  batch.set(voteRef(sessionId, uid, restaurantId, round), {
+    sessionId,
+    userId: uid,
+    restaurantId,
+    ...(round ? { round } : {})
+  });
+  await batch.commit();
+
+  return { finished: await finishWhenEveryoneVoted(sessionId) };
+};
+
+export const removeVote = async (uid, sessionId, restaurantId) => {
+  const session = await loadSession(sessionId);
+  assertStatus(session, 'voting');
+
+  await voteRef(sessionId, uid, restaurantId, roundOf(session)).delete();
+  return { ok: true };
+};
+
+export const submitRanking = async (uid, sessionId, { ranking }) => {
+  const session = await loadSession(sessionId);
+  assertStatus(session, 'voting');
+  await loadParticipant(sessionId, uid);
+  if (!Array.isArray(ranking) || new Set(ranking).size !== ranking.length) {
+    throw new HttpError(400, 'ranking must be a list of distinct restaurant ids');
+  }
+  ranking.forEach(rid => assertCandidate(session, rid));
+
+  const mine = await votesQuery(sessionId).where('userId', '==', uid).get();
+  const batch = db.batch();
+  mine.docs
+    .filter(d => !ranking.includes(d.data().restaurantId))
+    .forEach(d => batch.delete(d.ref));
+  ranking.forEach((rid, index) => {
+    batch.set(voteRef(sessionId, uid, rid), {
+      sessionId,
+      userId: uid,
+      restaurantId: rid,
+      rank: index
+    });
+  });
+  await batch.commit();
+
+  return { finished: await finishWhenEveryoneVoted(sessionId) };
+};
+
+export const swipe = async (uid, sessionId, restaurantId, { choice }) => {
+  if (choice !== 'like' && choice !== 'pass') {
+    throw new HttpError(400, 'choice must be like or pass');
+  }
+  const session = await loadSession(sessionId);
+  assertStatus(session, 'voting');
+  await loadParticipant(sessionId, uid);
+  assertCandidate(session, restaurantId);
+  if (!isSwipeMode(session.votingMode)) {
+    throw new HttpError(400, 'This session is not in swipe mode');
+  }
+
+  await voteRef(sessionId, uid, restaurantId).set({
+    sessionId,
+    userId: uid,
+    restaurantId,
+    choice
+  });
+
+  const matched = choice === 'like' && await finishOnUnanimousMatch(sessionId);
+  return { matched, finished: matched || await finishWhenEveryoneVoted(sessionId) };
+};
+
+// Who counts towards an automatic close: participants currently online.
+const presentIds = (participants, now = Date.now()) =>
+  participants.filter(p => presenceOf(p, now) === 'online').map(p => p.userId);
+
+// Checked after every like; the transaction re-reads everything so two
+// simultaneous final likes cannot both finish the session.
+const finishOnUnanimousMatch = async (sessionId) => {
+  return db.runTransaction(async (t) => {
+    const session = await loadSession(sessionId, t);
+    if (session.status !== 'voting') return false;
+
+    const participants = (await t.get(participantsQuery(sessionId))).docs.map(d => d.data());
+    const votes = (await t.get(votesQuery(sessionId))).docs.map(d => d.data());
+    if (!findUnanimousMatch(activeCandidates(session), votes, presentIds(participants))) return false;
+
+    writeResult(t, session, votes, 'match');
+    return true;
+  });
+};
+
+// Tallies, breaks ties and records the winner. Callers run it inside a
+// transaction that has already validated the transition to `finished`.
+const writeResult = (t, session, votes, finishedBy) => {
+  const candidates = activeCandidates(session);
+  const tally = tallyVotes(session.votingMode, candidates, currentRoundVotes(session, votes));
+  const { winnerId, tieBreak } = resolveWinner(tally, candidates, createTieBreakSeed());
+  const winner = candidates.find(c => c.id === winnerId);
+
+  t.update(sessionRef(session.id), {
+    status: 'finished',
+    winner,
+    finishedAt: FieldValue.serverTimestamp(),
+    expiresAt: expiresAtFor('finished'),
+    result: {
+      mode: tally.mode,
+      scores: tally.scores,
+      rounds: [
+        ...(session.roundHistory || []).map(r => ({ counts: r.scores, eliminated: r.eliminated })),
+        ...tally.rounds
+      ],
+      ballots: Object.fromEntries(tally.ballots),
+      tieBreak,
+      finishedBy
+    }
+  });
+  return winnerId;
+};
+
+const assertFinalRound = (session) => {
+  if (isRoundMode(session.votingMode) && activeCandidates(session).length > 2) {
+    throw new HttpError(409, 'End this round first; the winner is picked in the head-to-head');
+  }
+};
+
+// Cuts the weakest candidates and opens the next round on the rest, with a
+// fresh voting deadline. The session stays in `voting` throughout.
+const advanceRound = (t, session, votes) => {
+  const candidates = activeCandidates(session);
+  const round = session.round || 1;
+  const tally = tallyVotes(session.votingMode, candidates, currentRoundVotes(session, votes));
+  const cut = planElimination(candidates, tally.scores);
+
+  t.update(sessionRef(session.id), {
+    round: round + 1,
+    roundStartedAt: FieldValue.serverTimestamp(),
+    votingDeadline: deadlineIn(session.votingMinutes),
+    eliminated: [...(session.eliminated || []), ...cut.map(id => ({ id, round }))],
+    roundHistory: [...(session.roundHistory || []), { round, scores: tally.scores, eliminated: cut }]
+  });
+
+  return { round: round + 1, eliminated: cut };
+};
+
+export const finishSession = async (uid, sessionId) => {
+  return db.runTransaction(async (t) => {
+    const session = await loadSession(sessionId, t);
+    assertModerator(session, uid);
+    assertTransition(session, 'finished');
+    assertFinalRound(session);
+
+    const votes = (await t.get(votesQuery(sessionId))).docs.map(d => d.data());
+    return { winnerId: writeResult(t, session, votes, 'host') };
+  });
+};
+
+export const endRound = async (uid, sessionId) => {
+  return db.runTransaction(async (t) => {
+    const session = await loadSession(sessionId, t);
+    assertModerator(session, uid);
+    assertStatus(session, 'voting');
+    if (!isRoundMode(session.votingMode)) {
+      throw new HttpError(400, 'This session does not vote in rounds');
+    }
+    if (activeCandidates(session).length <= 2) {
+      throw new HttpError(409, 'This is the final round; finish the session instead');
+    }
+
+    const votes = (await t.get(votesQuery(sessionId))).docs.map(d => d.data());
+    return advanceRound(t, session, votes);
+  });
+};
+
+/* -------------------------------------------------------------------------- */
+/* AUTOMATIC TRANSITIONS                                                      */
+/* -------------------------------------------------------------------------- */
+
+// Ends the current round, or the whole session in the final round, without a
+// host. `shouldClose` re-checks the trigger inside the transaction.
+const closeVotingAutomatically = async (sessionId, finishedBy, shouldClose) => {
+  return db.runTransaction(async (t) => {
+    const session = await loadSession(sessionId, t);
+    if (session.status !== 'voting') return false;
+
+    const participants = (await t.get(participantsQuery(sessionId))).docs.map(d => d.data());
+    const votes = (await t.get(votesQuery(sessionId))).docs.map(d => d.data());
+    if (!shouldClose(session, participants, currentRoundVotes(session, votes))) return false;
+
+    if (isRoundMode(session.votingMode) && activeCandidates(session).length > 2) {
+      advanceRound(t, session, votes);
+    } else {
+      writeResult(t, session, votes, finishedBy);
+    }
+    return true;
+  });
+};
+
+// Votes on vetoed candidates no longer count towards being done, and neither
+// does anyone who is away or has left, so one closed laptop cannot hold up
+// the group.
+const everyoneVoted = (session, participants, votes) => {
+  const active = new Set(activeCandidates(session).map(c => c.id));
+  const present = presentIds(participants);
+  return present.length > 0 && present.every(uid =>
+    hasFinishedVoting(session.votingMode, votes.filter(v => v.userId === uid && active.has(v.restaurantId)), active.size)
+  );
+};
+
+export const finishWhenEveryoneVoted = (sessionId) =>
+  closeVotingAutomatically(sessionId, 'allVoted', everyoneVoted);
+
+/**
+ * Moves a session past whichever deadline has expired: an open lobby starts
+ * voting, a voting round closes. Safe to call repeatedly and from anywhere.
+ *
+ * @returns {Promise<boolean>} whether anything changed
+ */
+export const advanceExpiredSession = async (sessionId, now = Date.now()) => {
+  const session = await loadSession(sessionId);
+
+  if (session.status === 'open' && isPast(session.lobbyDeadline, now)) {
+    try {
+      await openVoting(session);
+      return true;
+    } catch (error) {
+      // The host may have started voting in the meantime.
+      if (error instanceof HttpError && error.status === 409) return false;
+      throw error;
+    }
+  }
+
+  if (session.status === 'voting') {
+    return closeVotingAutomatically(sessionId, 'deadline', (current) => isPast(current.votingDeadline, now));
+  }
+  return false;
+};
+
+// Lets any participant's countdown nudge the server the moment time runs out
+// instead of waiting for the next sweep.
+export const enforceDeadline = async (uid, sessionId) => {
+  await loadParticipant(sessionId, uid);
+  return { advanced: await advanceExpiredSession(sessionId) };
+};
+
+/**
+ * Ids of open or voting sessions whose deadline is at or before `now`. Each
+ * query needs its composite index from firestore.indexes.json.
+ */
+export const findExpiredSessionIds = async (now = Date.now()) => {
+  const cutoff = Timestamp.fromMillis(now);
+  const [lobbies, votes] = await Promise.all([
+    collectionRef('sessions').where('status', '==', 'open').where('lobbyDeadline', '<=', cutoff).get(),
+    collectionRef('sessions').where('status', '==', 'voting').where('votingDeadline', '<=', cutoff).get()
+  ]);
+  return [...lobbies.docs, ...votes.docs].map(d => d.id);
+};
@@ -0,0 +1,102 @@
+import { collectionRef } from './firebase.js';
+import { HttpError } from './errors.js';
+import { isCoordinates } from '../src/lib/geo.js';
+
+/* -------------------------------------------------------------------------- */
+/* REFERENCES & LOADERS                                                       */
+/* -------------------------------------------------------------------------- */
+
+// Data access and permission guards shared by the session and participant
+// services. Loaders accept an optional transaction.
+
+export const sessionRef = (sessionId) => collectionRef('sessions').doc(sessionId);
+export const participantRef = (sessionId, uid) => collectionRef('participants').doc(`${sessionId}_${uid}`);
+// Elimination rounds keep each round's votes in their own docs.
+export const voteRef = (sessionId, uid, rid, round) =>
+  collectionRef('votes').doc(`${sessionId}_${uid}_${rid}${round ? `_r${round}` : ''}`);
+
+export const requireString = (value, field, max = 200) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new HttpError(400, `${field} is required`);
+  }
+  if (value.length > max) {
+    throw new HttpError(400, `${field} is too long`);
+  }
+  return value.trim();
+};
+
+export const optionalCoordinates = (value, field = 'coordinates') => {
+  if (value == null) return null;
+  const coordinates = { latitude: Number(value.latitude), longitude: Number(value.longitude) };
+  if (!isCoordinates(coordinates)) {
+    throw new HttpError(400, `${field} must have a valid latitude and longitude`);
+  }
+  return coordinates;
+};
+
+export const isExpired = (session, now = Date.now()) =>
+  !!session.expiresAt && session.expiresAt.toMillis() <= now;
+
+// Expired sessions linger until the cleanup job deletes them, but are already
+// gone as far as callers are concerned.
+export const loadSession = async (sessionId, t) => {
+  const ref = sessionRef(sessionId);
+  const snap = t ? await t.get(ref) : await ref.get();
+  if (!snap.exists) {
+    throw new HttpError(404, 'Session not found');
+  }
+  const session = { id: sessionId, ...snap.data() };
+  if (isExpired(session)) {
+    throw new HttpError(410, 'This session has expired');
+  }
+  return session;
+};
+
+export const loadParticipant = async (sessionId, uid, t) => {
+  const ref = participantRef(sessionId, uid);
+  const snap = t ? await t.get(ref) : await ref.get();
+  if (!snap.exists) {
+    throw new HttpError(403, 'Join the session first');
+  }
+  return snap.data();
+};
+
+// Firestore caps `in` filters at 30 values, so larger lists are split up.
+const IN_LIMIT = 30;
+
+export const findWhereIn = async (collection, field, values) => {
+  const unique = [...new Set(values)];
+  const chunks = Array.from({ length: Math.ceil(unique.length / IN_LIMIT) }, (_, i) =>
+    unique.slice(i * IN_LIMIT, (i + 1) * IN_LIMIT));
+  const snaps = await Promise.all(chunks.map(ids => collectionRef(collection).where(field, 'in', ids).get()));
+  return snaps.flatMap(snap => snap.docs.map(d => d.data()));
+};
+
+export const votesQuery = (sessionId) => collectionRef('votes').where('sessionId', '==', sessionId);
+export const participantsQuery = (sessionId) => collectionRef('participants').where('sessionId', '==', sessionId);
+
+/* -------------------------------------------------------------------------- */
+/* GUARDS                                                                     */
+/* -------------------------------------------------------------------------- */
+
+export const isModerator = (session, uid) =>
+  session.hostId === uid || (session.coHostIds || []).includes(uid);
+
+export const assertHost = (session, uid) => {
+  if (session.hostId !== uid) {
+    throw new HttpError(403, 'Only the host can do that');
+  }
+};
+
+// Host or co-host.
+export const assertModerator = (session, uid) => {
+  if (!isModerator(session, uid)) {
+    throw new HttpError(403, 'Only the host or a co-host can do that');
+  }
+};
+
+export const assertStatus = (session, status) => {
+  if (session.status !== status) {
+    throw new HttpError(409, `Session is ${session.status}, expected ${status}`);
+  }
+};
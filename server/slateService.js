@@ -0,0 +1,155 @@
+import { db, FieldValue, Timestamp } from './firebase.js';
+import { HttpError } from './errors.js';
+import {
+  sessionRef,
+  votesQuery,
+  loadSession,
+  loadParticipant,
+  assertModerator,
+  assertStatus
+} from './sessionStore.js';
+import { CANDIDATE_LIMIT } from './providers/index.js';
+import { buildSlate, candidateKeys } from './aggregation.js';
+import { slateRequest } from './sessionService.js';
+import { activeCandidates, isRoundMode } from '../src/lib/scoring.js';
+
+/* -------------------------------------------------------------------------- */
+/* SLATE CHANGES                                                              */
+/* -------------------------------------------------------------------------- */
+
+// While voting, the host can swap out a single candidate or reroll the whole
+// slate. New candidates never repeat a place the session has already shown
+// (`seenKeys`); when the current page of provider results runs dry, the search
+// moves on to the next one (`slatePage`), from the provider the slate came
+// from, until that provider has no more pages. Votes on removed candidates are
+// deleted, and every change is logged on the session in `slateChanges`.
+
+// Pages tried per change before giving up.
+const MAX_PAGES_PER_CHANGE = 3;
+
+// Sessions from before `seenKeys` existed have only seen their current slate.
+const seenKeysOf = (session) => session.seenKeys || session.candidates.flatMap(candidateKeys);
+
+// A fingerprint of the slate, so a change computed against one slate is never
+// written over another.
+const slateKey = (session) => session.candidates.map(c => c.id).join('|');
+
+const assertChangeable = (session, uid) => {
+  assertModerator(session, uid);
+  assertStatus(session, 'voting');
+  if (isRoundMode(session.votingMode) && (session.round || 1) > 1) {
+    throw new HttpError(409, 'The slate is fixed once elimination rounds start');
+  }
+};
+
+/**
+ * Up to `count` places the session has not shown yet, starting from the page
+ * the last change stopped at.
+ *
+ * @returns {Promise<{fresh: Array, page: number}>}
+ */
+const findFresh = async (session, count) => {
+  const request = await slateRequest(session);
+  const exclude = new Set(seenKeysOf(session));
+  const fresh = [];
+  let page = session.slatePage || 0;
+
+  for (let tries = 0; tries < MAX_PAGES_PER_CHANGE; tries++, page++) {
+    const { candidates, exhausted } = await buildSlate({
+      ...request,
+      // The slate stays around the point voting started with, even if
+      // people have moved since.
+      center: session.center || request.center,
+      nominations: [],
+      exclude,
+      provider: session.provider,
+      offset: page * CANDIDATE_LIMIT,
+      size: count - fresh.length
+    });
+    candidates.forEach(c => {
+      fresh.push(c);
+      candidateKeys(c).forEach(key => exclude.add(key));
+    });
+    if (fresh.length >= count || exhausted) break;
+  }
+
+  return { fresh, page: Math.min(page, (session.slatePage || 0) + MAX_PAGES_PER_CHANGE - 1) };
+};
+
+const summary = (candidate) => ({ id: candidate.id, name: candidate.name });
+
+const applyChange = (uid, session, { type, candidates, removed, added, page }) =>
+  db.runTransaction(async (t) => {
+    const current = await loadSession(session.id, t);
+    assertChangeable(current, uid);
+    if (slateKey(current) !== slateKey(session)) {
+      throw new HttpError(409, 'The slate just changed, try again');
+    }
+    const participant = await loadParticipant(session.id, uid, t);
+    const removedIds = new Set(removed.map(c => c.id));
+    const votes = (await t.get(votesQuery(session.id))).docs
+      .filter(d => removedIds.has(d.data().restaurantId));
+
+    votes.forEach(d => t.delete(d.ref));
+    t.update(sessionRef(session.id), {
+      candidates,
+      seenKeys: [...new Set([...seenKeysOf(current), ...added.flatMap(candidateKeys)])],
+      slatePage: page,
+      slateChanges: FieldValue.arrayUnion({
+        type,
+        userId: uid,
+        name: participant.name,
+        at: Timestamp.now(),
+        removed: removed.map(summary),
+        added: added.map(summary)
+      })
+    });
+    return { added: added.length, removed: removed.length, clearedVotes: votes.length };
+  });
+
+/**
+ * Replaces every candidate except nominations with places nobody has seen
+ * yet. Vetoed candidates go too.
+ */
+export const rerollSlate = async (uid, sessionId) => {
+  const session = await loadSession(sessionId);
+  assertChangeable(session, uid);
+
+  const kept = activeCandidates(session).filter(c => c.nominatedBy?.length);
+  const removed = session.candidates.filter(c => !kept.includes(c));
+  const { fresh, page } = await findFresh(session, session.candidates.length - kept.length);
+  if (fresh.length === 0) {
+    throw new HttpError(409, 'There are no more places to show for this session');
+  }
+
+  return applyChange(uid, session, {
+    type: 'reroll',
+    candidates: [...kept, ...fresh],
+    removed,
+    added: fresh,
+    page
+  });
+};
+
+/** Swaps one candidate for a place nobody has seen yet, in the same spot. */
+export const replaceCandidate = async (uid, sessionId, restaurantId) => {
+  const session = await loadSession(sessionId);
+  assertChangeable(session, uid);
+
+  const target = activeCandidates(session).find(c => c.id === restaurantId);
+  if (!target) {
+    throw new HttpError(400, 'Unknown restaurant');
+  }
+  const { fresh: [replacement], page } = await findFresh(session, 1);
+  if (!replacement) {
+    throw new HttpError(409, 'There are no more places to show for this session');
+  }
+
+  return applyChange(uid, session, {
+    type: 'replace',
+    candidates: session.candidates.map(c => (c.id === restaurantId ? replacement : c)),
+    removed: [target],
+    added: [replacement],
+    page
+  });
+};
@@ -0,0 +1,42 @@
+import { findExpiredSessionIds, advanceExpiredSession } from './sessionService.js';
+import { HttpError } from './errors.js';
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Advances every session whose lobby or voting deadline has passed, so a
+ * result never depends on the host's browser staying open.
+ */
+export const sweepExpiredSessions = async (now = Date.now()) => {
+  const ids = await findExpiredSessionIds(now);
+  let advanced = 0;
+
+  for (const id of ids) {
+    try {
+      if (await advanceExpiredSession(id, now)) advanced += 1;
+    } catch (error) {
+      // Past its retention; the cleanup job will delete it.
+      if (error instanceof HttpError && error.status === 410) continue;
+      console.error(`Failed to advance expired session ${id}:`, error.message);
+    }
+  }
+  return advanced;
+};
+
+// Runs sweeps one at a time; returns a function that stops the loop.
+export const startSweeper = ({ intervalMs = DEFAULT_INTERVAL_MS } = {}) => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweepExpiredSessions();
+    } catch (error) {
+      console.error('Session sweep failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,158 @@
+import { HttpError } from './errors.js';
+import { createLruCache } from './cache.js';
+import { MAX_RADIUS } from '../src/lib/geo.js';
+
+/* -------------------------------------------------------------------------- */
+/* YELP SEARCH                                                                */
+/* -------------------------------------------------------------------------- */
+
+// Shared by the Express server, the serverless `api/yelp.js` entrypoint and
+// the Yelp restaurant provider, so every caller gets the same parameters,
+// errors and cache.
+
+const YELP_BUSINESSES_URL = 'https://api.yelp.com/v3/businesses';
+const YELP_SEARCH_URL = `${YELP_BUSINESSES_URL}/search`;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+const cache = createLruCache({
+  max: Number(process.env.YELP_CACHE_MAX) || 200,
+  ttlMs: Number(process.env.YELP_CACHE_TTL_MS) || 10 * 60 * 1000
+});
+// Hours and contact details change rarely, so they are kept for a day.
+const detailsCache = createLruCache({ max: 1000, ttlMs: 24 * 60 * 60 * 1000 });
+
+const normalizeText = (text) => (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Accepts "a,b" from a query string or an array from internal callers.
+const normalizeList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(v => normalizeText(String(v)))
+    .filter(Boolean);
+
+// About 100m of precision: close enough for a search center, coarse enough
+// that people a block apart share a cache entry.
+const roundCoordinate = (value, limit) => {
+  const n = Number(value);
+  return Number.isFinite(n) && Math.abs(n) <= limit ? Math.round(n * 1000) / 1000 : null;
+};
+
+const clampInt = (value, fallback, min, max) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+};
+
+/**
+ * Normalizes raw query values into the parameters actually sent to Yelp.
+ * Two lobbies asking for "Atlanta, GA " and "atlanta, ga" share a cache entry.
+ */
+export const normalizeSearchParams = ({ location, latitude, longitude, term, limit, offset, categories, price, radius } = {}) => {
+  const lat = roundCoordinate(latitude, 90);
+  const lon = roundCoordinate(longitude, 180);
+  // Coordinates win over the text location when both are given.
+  const params = lat !== null && lon !== null
+    ? { latitude: lat, longitude: lon }
+    : { location: normalizeText(location) };
+  Object.assign(params, {
+    term: normalizeText(term) || 'restaurants',
+    limit: clampInt(limit, DEFAULT_LIMIT, 1, MAX_LIMIT),
+    offset: clampInt(offset, 0, 0, 1000)
+  });
+
+  const categoryList = normalizeList(categories).filter(c => /^[a-z_]+$/.test(c));
+  if (categoryList.length > 0) params.categories = categoryList.sort().join(',');
+
+  const priceList = normalizeList(price).map(Number).filter(p => p >= 1 && p <= 4);
+  if (priceList.length > 0) params.price = [...new Set(priceList)].sort().join(',');
+
+  if (radius) params.radius = clampInt(radius, MAX_RADIUS, 1, MAX_RADIUS);
+  return params;
+};
+
+const cacheKey = ({ location = '', latitude = '', longitude = '', term, limit, offset, categories = '', price = '', radius = '' }) =>
+  [location, latitude, longitude, term, limit, offset, categories, price, radius].join('|');
+
+const fetchYelp = async (url, apiKey) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Accept': 'application/json'
+      }
+    });
+  } catch (error) {
+    console.error('Proxy error:', error);
+    throw new HttpError(502, 'Failed to fetch from Yelp');
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('Yelp API Error:', response.status, errorText);
+    throw new HttpError(response.status, `Yelp API error: ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Runs a business search, serving repeats from the cache.
+ *
+ * @returns {Promise<{businesses: Array, total: number}>} Yelp's response body
+ * @throws {HttpError} 400 without a location or coordinates, 500 without an API key, the
+ *   upstream status when Yelp rejects the call and 502 when it is unreachable
+ */
+export const searchYelp = async (query, { apiKey = process.env.YELP_API_KEY } = {}) => {
+  const params = normalizeSearchParams(query);
+  if (!params.location && params.latitude === undefined) {
+    throw new HttpError(400, 'Location required');
+  }
+  if (!apiKey) {
+    throw new HttpError(500, 'Yelp API key not configured');
+  }
+
+  const key = cacheKey(params);
+  const cached = cache.get(key);
+  if (cached) return cached;
+
+  const url = `${YELP_SEARCH_URL}?${new URLSearchParams({ ...params, sort_by: 'best_match' })}`;
+  const data = await fetchYelp(url, apiKey);
+  cache.set(key, data);
+  return data;
+};
+
+/**
+ * Fetches one business from the details endpoint, which is the only place
+ * Yelp returns opening hours.
+ *
+ * @returns {Promise<Object>} Yelp's business body
+ * @throws {HttpError} as `searchYelp`
+ */
+export const fetchYelpBusiness = async (id, { apiKey = process.env.YELP_API_KEY } = {}) => {
+  if (!apiKey) {
+    throw new HttpError(500, 'Yelp API key not configured');
+  }
+  const cached = detailsCache.get(id);
+  if (cached) return cached;
+
+  const data = await fetchYelp(`${YELP_BUSINESSES_URL}/${encodeURIComponent(id)}`, apiKey);
+  detailsCache.set(id, data);
+  return data;
+};
+
+export const clearYelpCache = () => {
+  cache.clear();
+  detailsCache.clear();
+};
+
+// (req, res) handler that works as Express middleware and as a serverless
+// function, since both expose `req.query` and `res.status().json()`.
+export const handleYelpSearch = async (req, res) => {
+  try {
+    const data = await searchYelp(req.query);
+    return res.status(200).json(data);
+  } catch (error) {
+    const status = error instanceof HttpError ? error.status : 500;
+    return res.status(status).json({ error: error.message });
+  }
+};
@@ -1,23 +1,23 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { initializeApp } from 'firebase/app';
 import { 
   getAuth, 
   signInAnonymously, 
-  onAuthStateChanged,
-  signInWithCustomToken
+  onIdTokenChanged,
+  signInWithCustomToken,
+  connectAuthEmulator,
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  linkWithCredential,
+  EmailAuthProvider
 } from 'firebase/auth';
 import { 
   getFirestore, 
-  collection, 
   doc, 
-  setDoc, 
-  addDoc,
-  deleteDoc,
   onSnapshot, 
   query, 
-  where,
-  updateDoc,
-  serverTimestamp
+  where
 } from 'firebase/firestore';
 import { 
   MapPin, 
@@ -30,8 +30,66 @@ import {
   ArrowRight,
   RefreshCw,
   Trophy,
-  AlertCircle
+  AlertCircle,
+  GripVertical,
+  ChevronUp,
+  ChevronDown,
+  X,
+  Heart,
+  Clock,
+  Lock,
+  Unlock,
+  UserX,
+  Mail,
+  List,
+  Map as MapIcon,
+  Plus,
+  Minus,
+  Info,
+  Phone,
+  ExternalLink,
+  Ban,
+  Search,
+  Shuffle
 } from 'lucide-react';
+import {
+  VOTING_MODES,
+  DEFAULT_VOTING_MODE,
+  TIE_BREAK_RULES,
+  isRankedMode,
+  isSwipeMode,
+  isRoundMode,
+  activeCandidates,
+  currentRoundVotes,
+  tallyVotes,
+  MAX_NOMINATIONS,
+  MAX_VETOES_PER_PERSON,
+  vetoesLeft,
+  canVeto
+} from './lib/scoring.js';
+import { parseCraving, cravingChips, dismissChips, withStanding, hasStanding, DIETARY_LABELS, MAX_PREFERENCE_LENGTH } from './lib/cravings.js';
+import { AVATAR_COLORS, DIETARY_OPTIONS, CUISINE_OPTIONS } from './lib/profile.js';
+import { ROTATION_MODES, ROTATION_DAY_OPTIONS, daysAgo } from './lib/rotation.js';
+import { MAX_STARS, RATING_TAGS } from './lib/ratings.js';
+import { RADIUS_OPTIONS, LOCATION_MODES, isCoordinates, formatDistance, formatRadius } from './lib/geo.js';
+import {
+  DEFAULT_TILE_URL,
+  DEFAULT_TILE_ATTRIBUTION,
+  NO_TILES,
+  MIN_ZOOM,
+  MAX_ZOOM,
+  project,
+  fitZoom,
+  boundsCenter,
+  visibleTiles
+} from './lib/map.js';
+import { DAY_NAMES, OPEN_FILTERS, formatDayHours, formatClockTime } from './lib/hours.js';
+import { HEARTBEAT_MS, PRESENCE_LABELS, presenceOf, isTyping } from './lib/presence.js';
+import { serverNow, callApi, callSessionApi, callProfileApi, callCrewApi } from './session/api.js';
+import { createSessionClient } from './session/client.js';
+import { createFirestoreRepository, publicCollection } from './session/firestoreRepository.js';
+import { useSession, useParticipant, useParticipants, useVotes } from './session/hooks.js';
+import { STATUS_ROUTES, HOME_PATH, HISTORY_PATH, sessionPath, crewPath, parseRoute, routePath } from './lib/routes.js';
 
 /* -------------------------------------------------------------------------- */
 /* FIREBASE SETUP & ENV VARS                                                  */
@@ -46,119 +104,49 @@ const firebaseConfig = {
   appId: import.meta.env.VITE_FIREBASE_APP_ID
 };
 
-const yelpApiKey = import.meta.env.VITE_YELP_API_KEY;
-
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
 const db = getFirestore(app);
 const appId = 'pickit-prod';
 
-/* -------------------------------------------------------------------------- */
-/* MOCK DATA (Fallback)                                                       */
-/* -------------------------------------------------------------------------- */
-
-const MOCK_RESTAURANTS = [
-  {
-    id: 'r1',
-    name: "Che Butter Jonez (Mock)",
-    image: "https://images.unsplash.com/photo-1568901346375-23c9450c58cd?auto=format&fit=crop&w=800&q=80",
-    rating: 4.8,
-    reviewCount: 342,
-    price: "$$",
-    cuisine: "Halal, Burgers, Seafood",
-    address: "1602 Lavista Rd NE, Atlanta, GA 30329"
-  },
-  {
-    id: 'r2',
-    name: "NFA Burger - Dunwoody",
-    image: "https://images.unsplash.com/photo-1550547660-d9450f859349?auto=format&fit=crop&w=800&q=80",
-    rating: 4.6,
-    reviewCount: 890,
-    price: "$$",
-    cuisine: "Burgers, American",
-    address: "5465 Chamblee Dunwoody Rd, Dunwoody, GA 30338"
-  },
-  {
-    id: 'r3',
-    name: "Wheelhouse Craft Pub",
-    image: "https://images.unsplash.com/photo-1514933651103-005eec06c04b?auto=format&fit=crop&w=800&q=80",
-    rating: 4.5,
-    reviewCount: 210,
-    price: "$$",
-    cuisine: "Pubs, Fish & Chips, Burgers",
-    address: "1479 Scott Blvd, Decatur, GA 30030"
-  },
-  {
-    id: 'r4',
-    name: "Atlanta Breakfast Club",
-    image: "https://images.unsplash.com/photo-1533089862017-ecc323f5194b?auto=format&fit=crop&w=800&q=80",
-    rating: 4.5,
-    reviewCount: 3500,
-    price: "$$",
-    cuisine: "Southern, Breakfast & Brunch",
-    address: "249 Ivan Allen Jr Blvd, Atlanta, GA 30313"
-  },
-  {
-    id: 'r5',
-    name: "Whiskey Bird",
-    image: "https://images.unsplash.com/photo-1559339352-11d035aa65de?auto=format&fit=crop&w=800&q=80",
-    rating: 4.4,
-    reviewCount: 520,
-    price: "$$",
-    cuisine: "Asian Fusion, Yakitori",
-    address: "1409 North Highland Ave NE, Atlanta, GA 30306"
-  }
-];
-
-/* -------------------------------------------------------------------------- */
-/* YELP API UTILS                                                             */
-/* -------------------------------------------------------------------------- */
-
-const fetchYelpRestaurants = async (location, term) => {
-  if (!yelpApiKey) {
-    console.warn("Yelp API Key missing. Falling back to mock data.");
-    return null;
-  }
+// e.g. VITE_FIREBASE_AUTH_EMULATOR_HOST=localhost:9099; email links then show
+// up in the emulator UI instead of being sent.
+if (import.meta.env.VITE_FIREBASE_AUTH_EMULATOR_HOST) {
+  connectAuthEmulator(auth, `http://${import.meta.env.VITE_FIREBASE_AUTH_EMULATOR_HOST}`);
+}
 
-  try {
-    // Call our backend proxy
-    const response = await fetch(
-      `/api/yelp?location=${encodeURIComponent(location)}&term=${encodeURIComponent(term || 'restaurants')}`
-    );
+// e.g. VITE_MAP_TILE_URL=http://localhost:8080/{z}/{x}/{y}.png for a local tile
+// server, or `none` for a plain grid with no network requests.
+const MAP_TILE_URL = import.meta.env.VITE_MAP_TILE_URL || DEFAULT_TILE_URL;
+const MAP_TILE_ATTRIBUTION = import.meta.env.VITE_MAP_TILE_ATTRIBUTION ??
+  (MAP_TILE_URL === DEFAULT_TILE_URL ? DEFAULT_TILE_ATTRIBUTION : '');
 
-    if (!response.ok) {
-      throw new Error(`Yelp API Error: ${response.statusText}`);
-    }
+// Where the email from "send me a link" waits until the link is opened.
+const EMAIL_FOR_SIGN_IN_KEY = 'pickitEmailForSignIn';
 
-    const data = await response.json();
-    
-    if (!data.businesses || data.businesses.length === 0) {
-      return null;
-    }
-    
-    // Map Yelp data to our app's format
-    return data.businesses.map(b => ({
-      id: b.id,
-      name: b.name,
-      image: b.image_url || "https://images.unsplash.com/photo-1517248135467-4c7edcad34c4?auto=format&fit=crop&w=800&q=60",
-      rating: b.rating,
-      reviewCount: b.review_count,
-      price: b.price || "$$",
-      cuisine: b.categories?.[0]?.title || "Restaurant",
-      address: b.location?.address1 || b.location?.city
-    }));
-
-  } catch (error) {
-    console.error("Failed to fetch from Yelp:", error);
-    return null;
-  }
-};
+// Mirrors the server's guard so only hosts and co-hosts see moderation controls.
+const isModerator = (session, uid) =>
+  session.hostId === uid || (session.coHostIds || []).includes(uid);
 
 /* -------------------------------------------------------------------------- */
 /* UTILS                                       */
 /* -------------------------------------------------------------------------- */
 
-const generateSessionId = () => Math.random().toString(36).substring(2, 8).toUpperCase();
+const getCurrentCoordinates = () => new Promise((resolve, reject) => {
+  if (!navigator.geolocation) {
+    reject(new Error('Location is not available in this browser'));
+    return;
+  }
+  navigator.geolocation.getCurrentPosition(
+    ({ coords }) => resolve({ latitude: coords.latitude, longitude: coords.longitude }),
+    () => reject(new Error('Could not get your location')),
+    { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 }
+  );
+});
+
+// Expired sessions stay readable until the cleanup job deletes them.
+const isSessionExpired = (session) =>
+  !!session?.expiresAt?.toMillis && session.expiresAt.toMillis() <= serverNow();
 
 const triggerConfetti = () => {
   const colors = ['#a855f7', '#ec4899', '#3b82f6', '#fbbf24'];
@@ -192,16 +180,158 @@ const triggerConfetti = () => {
 /* COMPONENTS                                  */
 /* -------------------------------------------------------------------------- */
 
-function Landing({ onStart }) {
-  const [name, setName] = useState('');
+// Server-corrected clock that re-renders every `intervalMs`, for derived state
+// such as presence that goes stale without any snapshot arriving.
+const useServerNow = (intervalMs = 5000) => {
+  const [now, setNow] = useState(serverNow);
+  useEffect(() => {
+    const timer = setInterval(() => setNow(serverNow()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+  return now;
+};
+
+function Countdown({ deadline, label, onExpire }) {
+  const target = deadline?.toMillis ? deadline.toMillis() : null;
+  const [remaining, setRemaining] = useState(() => (target ? target - serverNow() : null));
+
+  useEffect(() => {
+    if (!target) return;
+    let expired = false;
+    const tick = () => {
+      const left = target - serverNow();
+      setRemaining(left);
+      if (left <= 0 && !expired) {
+        expired = true;
+        onExpire?.();
+      }
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [target]);
+
+  if (!target || remaining === null) return null;
+
+  const seconds = Math.max(0, Math.ceil(remaining / 1000));
+  const urgent = seconds <= 30;
+
+  return (
+    <div className={`inline-flex items-center gap-2 px-4 py-2 rounded-full text-sm font-bold border ${
+      urgent ? 'bg-red-50 text-red-600 border-red-100 animate-pulse' : 'bg-slate-50 text-slate-600 border-slate-200'
+    }`}>
+      <Clock size={14} />
+      {seconds > 0
+        ? <>{label} {Math.floor(seconds / 60)}:{String(seconds % 60).padStart(2, '0')}</>
+        : <>Time's up! Wrapping up...</>}
+    </div>
+  );
+}
+
+const LOBBY_TIME_OPTIONS = [0, 5, 10, 15, 30];
+const VOTING_TIME_OPTIONS = [0, 2, 5, 10, 15];
+
+function RotationSelect({ days, mode, onChange, selectClassName }) {
+  return (
+    <div className="grid grid-cols-2 gap-2 text-left">
+      <label className="block">
+        <span className="text-xs uppercase tracking-widest text-gray-400 font-bold pl-1">Recent Winners</span>
+        <select
+          value={days}
+          onChange={(e) => onChange({ days: Number(e.target.value), mode })}
+          className={selectClassName}
+        >
+          {ROTATION_DAY_OPTIONS.map(d => <option key={d} value={d}>{d ? `Won in last ${d} days` : 'Allow repeats'}</option>)}
+        </select>
+      </label>
+      <label className="block">
+        <span className="text-xs uppercase tracking-widest text-gray-400 font-bold pl-1">Rotation</span>
+        <select
+          value={mode}
+          disabled={!days}
+          onChange={(e) => onChange({ days, mode: e.target.value })}
+          className={`${selectClassName} disabled:opacity-50`}
+        >
+          {Object.entries(ROTATION_MODES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+function Landing({ onStart, onSearchPlaces, defaultName, children }) {
+  const [name, setName] = useState(defaultName || '');
   const [location, setLocation] = useState('');
+  const [coordinates, setCoordinates] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [isLocating, setIsLocating] = useState(false);
+  const [locationError, setLocationError] = useState('');
+  const [radius, setRadius] = useState(0);
+  const [locationMode, setLocationMode] = useState('fixed');
+  const [openFilter, setOpenFilter] = useState('');
+  const [mealTime, setMealTime] = useState('12:00');
+  const [vetoesPerPerson, setVetoesPerPerson] = useState(0);
+  const [votingMode, setVotingMode] = useState(DEFAULT_VOTING_MODE);
+  const [lobbyMinutes, setLobbyMinutes] = useState(0);
+  const [votingMinutes, setVotingMinutes] = useState(0);
+  const [rotation, setRotation] = useState({ days: 0, mode: 'downrank' });
+  const [useOwnList, setUseOwnList] = useState(false);
+  const [ownList, setOwnList] = useState('');
   const [isCreating, setIsCreating] = useState(false);
 
+  const customList = useOwnList ? ownList.split('\n').map(l => l.trim()).filter(Boolean) : [];
+
+  // The profile usually arrives after first render; fill the name once it does.
+  useEffect(() => {
+    if (defaultName) setName(current => current || defaultName);
+  }, [defaultName]);
+
+  // Suggestions only while typing; a picked suggestion already has coordinates.
+  useEffect(() => {
+    if (coordinates || location.trim().length < 3) return;
+    const timer = setTimeout(() => {
+      onSearchPlaces(location)
+        .then(({ places }) => setSuggestions(places))
+        .catch(() => setSuggestions([]));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [location, coordinates, onSearchPlaces]);
+
+  const handleLocationChange = (value) => {
+    setLocation(value);
+    const picked = suggestions.find(p => p.label === value);
+    setCoordinates(picked ? { latitude: picked.latitude, longitude: picked.longitude } : null);
+  };
+
+  const useCurrentLocation = async () => {
+    setIsLocating(true);
+    setLocationError('');
+    try {
+      setCoordinates(await getCurrentCoordinates());
+      setLocation('My current location');
+    } catch (err) {
+      setLocationError(err.message);
+    }
+    setIsLocating(false);
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!name.trim() || !location.trim()) return;
+    if (useOwnList && customList.length === 0) return;
     setIsCreating(true);
-    onStart(name, location);
+    onStart(name, location, votingMode, customList, {
+      coordinates,
+      radius,
+      locationMode,
+      openAt: openFilter === 'at' ? mealTime : openFilter || null,
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      vetoesPerPerson,
+      lobbyMinutes,
+      votingMinutes,
+      rotationDays: rotation.days,
+      rotationMode: rotation.mode
+    });
   };
 
   return (
@@ -231,10 +361,150 @@ function Landing({ onStart }) {
               type="text"
               placeholder="Location (e.g., Atlanta, GA)"
               value={location}
-              onChange={(e) => setLocation(e.target.value)}
+              onChange={(e) => handleLocationChange(e.target.value)}
+              list="place-suggestions"
               className="w-full px-4 py-4 rounded-2xl border border-gray-200 bg-gray-50 focus:bg-white focus:border-purple-500 focus:ring-4 focus:ring-purple-100 outline-none transition-all text-lg placeholder-gray-400 font-medium"
               required
             />
+            <datalist id="place-suggestions">
+              {suggestions.map(p => <option key={p.label} value={p.label} />)}
+            </datalist>
+            <div className="flex items-center justify-between mt-2 px-1">
+              <button
+                type="button"
+                onClick={useCurrentLocation}
+                disabled={isLocating}
+                className="text-xs font-bold text-purple-600 hover:text-purple-800 flex items-center gap-1 disabled:opacity-50"
+              >
+                <MapPin size={14} /> {isLocating ? 'Locating...' : 'Use my current location'}
+              </button>
+              {coordinates && <span className="text-xs font-bold text-green-600 flex items-center gap-1"><Check size={12} /> Pinned</span>}
+            </div>
+            {locationError && <p className="text-xs text-red-600 font-medium text-left px-1 mt-1">{locationError}</p>}
+          </div>
+          <div className="grid grid-cols-2 gap-2 text-left">
+            <label className="block">
+              <span className="text-xs uppercase tracking-widest text-gray-400 font-bold pl-1">Distance</span>
+              <select
+                value={radius}
+                onChange={(e) => setRadius(Number(e.target.value))}
+                className="w-full mt-2 px-3 py-3 rounded-2xl border border-gray-200 bg-gray-50 text-sm font-medium outline-none focus:border-purple-500"
+              >
+                {RADIUS_OPTIONS.map(m => <option key={m} value={m}>{formatRadius(m)}</option>)}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-xs uppercase tracking-widest text-gray-400 font-bold pl-1">Search Around</span>
+              <select
+                value={locationMode}
+                onChange={(e) => setLocationMode(e.target.value)}
+                title={LOCATION_MODES[locationMode].description}
+                className="w-full mt-2 px-3 py-3 rounded-2xl border border-gray-200 bg-gray-50 text-sm font-medium outline-none focus:border-purple-500"
+              >
+                {Object.entries(LOCATION_MODES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="text-left">
+            <label className="flex items-center gap-2 text-sm font-bold text-gray-700 pl-1 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={useOwnList}
+                onChange={(e) => setUseOwnList(e.target.checked)}
+                className="w-4 h-4 accent-purple-600"
+              />
+              Vote on our own list of spots
+            </label>
+            {useOwnList && (
+              <textarea
+                value={ownList}
+                onChange={(e) => setOwnList(e.target.value)}
+                placeholder={"One per line: Name | cuisine | address\nTaco Stand | Mexican | 12 Main St"}
+                className="w-full mt-3 p-4 rounded-2xl border border-gray-200 bg-gray-50 focus:bg-white focus:border-purple-500 focus:ring-4 focus:ring-purple-100 outline-none transition-all resize-none h-28 text-sm placeholder-gray-400"
+              />
+            )}
+          </div>
+          <div className="text-left">
+            <p className="text-xs uppercase tracking-widest text-gray-400 font-bold mb-2 pl-1">Voting Method</p>
+            <div className="grid grid-cols-2 gap-2">
+              {Object.entries(VOTING_MODES).map(([key, mode]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => setVotingMode(key)}
+                  className={`p-3 rounded-2xl border-2 text-left transition-all ${
+                    votingMode === key ? 'border-purple-500 bg-purple-50' : 'border-gray-200 bg-gray-50 hover:border-gray-300'
+                  }`}
+                >
+                  <p className={`font-bold text-sm ${votingMode === key ? 'text-purple-700' : 'text-gray-800'}`}>{mode.label}</p>
+                  <p className="text-xs text-gray-500 leading-snug mt-0.5">{mode.description}</p>
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-2 text-left">
+            <label className="block">
+              <span className="text-xs uppercase tracking-widest text-gray-400 font-bold pl-1">Lobby Closes</span>
+              <select
+                value={lobbyMinutes}
+                onChange={(e) => setLobbyMinutes(Number(e.target.value))}
+                className="w-full mt-2 px-3 py-3 rounded-2xl border border-gray-200 bg-gray-50 text-sm font-medium outline-none focus:border-purple-500"
+              >
+                {LOBBY_TIME_OPTIONS.map(m => <option key={m} value={m}>{m ? `In ${m} min` : 'When host starts'}</option>)}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-xs uppercase tracking-widest text-gray-400 font-bold pl-1">Voting Lasts</span>
+              <select
+                value={votingMinutes}
+                onChange={(e) => setVotingMinutes(Number(e.target.value))}
+                className="w-full mt-2 px-3 py-3 rounded-2xl border border-gray-200 bg-gray-50 text-sm font-medium outline-none focus:border-purple-500"
+              >
+                {VOTING_TIME_OPTIONS.map(m => <option key={m} value={m}>{m ? `${m} min` : 'Until host ends'}</option>)}
+              </select>
+            </label>
+          </div>
+          <RotationSelect
+            days={rotation.days}
+            mode={rotation.mode}
+            onChange={setRotation}
+            selectClassName="w-full mt-2 px-3 py-3 rounded-2xl border border-gray-200 bg-gray-50 text-sm font-medium outline-none focus:border-purple-500"
+          />
+          <div className="grid grid-cols-2 gap-2 text-left">
+            <label className="block">
+              <span className="text-xs uppercase tracking-widest text-gray-400 font-bold pl-1">Only Places</span>
+              <select
+                value={openFilter}
+                onChange={(e) => setOpenFilter(e.target.value)}
+                className="w-full mt-2 px-3 py-3 rounded-2xl border border-gray-200 bg-gray-50 text-sm font-medium outline-none focus:border-purple-500"
+              >
+                {Object.entries(OPEN_FILTERS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+            </label>
+            {openFilter === 'at' && (
+              <label className="block">
+                <span className="text-xs uppercase tracking-widest text-gray-400 font-bold pl-1">Meal Time</span>
+                <input
+                  type="time"
+                  value={mealTime}
+                  onChange={(e) => setMealTime(e.target.value)}
+                  required
+                  className="w-full mt-2 px-3 py-2.5 rounded-2xl border border-gray-200 bg-gray-50 text-sm font-medium outline-none focus:border-purple-500"
+                />
+              </label>
+            )}
+            <label className="block">
+              <span className="text-xs uppercase tracking-widest text-gray-400 font-bold pl-1">Vetoes Each</span>
+              <select
+                value={vetoesPerPerson}
+                onChange={(e) => setVetoesPerPerson(Number(e.target.value))}
+                className="w-full mt-2 px-3 py-3 rounded-2xl border border-gray-200 bg-gray-50 text-sm font-medium outline-none focus:border-purple-500"
+              >
+                {Array.from({ length: MAX_VETOES_PER_PERSON + 1 }, (_, n) => (
+                  <option key={n} value={n}>{n ? `${n} veto${n === 1 ? '' : 'es'}` : 'No vetoes'}</option>
+                ))}
+              </select>
+            </label>
           </div>
           <button
             type="submit"
@@ -249,19 +519,285 @@ function Landing({ onStart }) {
           </button>
         </form>
       </div>
+      {children}
+    </div>
+  );
+}
+
+/* -------------------------------------------------------------------------- */
+/* CREWS                                                                      */
+/* -------------------------------------------------------------------------- */
+
+const isToday = (timestamp) =>
+  !!timestamp?.toMillis && new Date(timestamp.toMillis()).toDateString() === new Date(serverNow()).toDateString();
+
+// Accepts Firestore timestamps from snapshots and epoch millis from the API.
+const formatDay = (timestamp) => {
+  const millis = timestamp?.toMillis ? timestamp.toMillis() : timestamp;
+  return typeof millis === 'number'
+    ? new Date(millis).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })
+    : '';
+};
+
+function CrewForm({ initial, submitLabel, onSubmit, onCancel }) {
+  const [name, setName] = useState(initial?.name || '');
+  const [defaultLocation, setDefaultLocation] = useState(initial?.defaultLocation || '');
+  const [defaultVotingMode, setDefaultVotingMode] = useState(initial?.defaultVotingMode || DEFAULT_VOTING_MODE);
+  const [rotation, setRotation] = useState(initial?.defaultRotation || { days: 0, mode: 'downrank' });
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await onSubmit({ name, defaultLocation, defaultVotingMode, rotationDays: rotation.days, rotationMode: rotation.mode });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2.5 rounded-xl border border-gray-200 bg-gray-50 focus:bg-white focus:border-purple-500 outline-none text-sm font-medium';
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 text-left">
+      <input type="text" placeholder="Crew name (e.g. Lunch Squad)" value={name} onChange={(e) => setName(e.target.value)} className={inputClass} required />
+      <input type="text" placeholder="Usual location" value={defaultLocation} onChange={(e) => setDefaultLocation(e.target.value)} className={inputClass} required />
+      <select value={defaultVotingMode} onChange={(e) => setDefaultVotingMode(e.target.value)} className={inputClass}>
+        {Object.entries(VOTING_MODES).map(([mode, { label }]) => <option key={mode} value={mode}>{label}</option>)}
+      </select>
+      <RotationSelect days={rotation.days} mode={rotation.mode} onChange={setRotation} selectClassName={`${inputClass} mt-1`} />
+      {error && <p className="text-xs text-red-600 font-medium">{error}</p>}
+      <div className="flex gap-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="flex-1 py-2.5 rounded-xl border border-gray-200 text-sm font-bold text-gray-500">
+            Cancel
+          </button>
+        )}
+        <button type="submit" className="flex-1 py-2.5 rounded-xl bg-indigo-600 text-white text-sm font-bold hover:bg-indigo-700">
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function CrewList({ crews, onOpen, onStartSession, onCreate }) {
+  const [isCreating, setIsCreating] = useState(false);
+
+  return (
+    <div className="w-full max-w-md bg-white rounded-3xl p-6 shadow-2xl text-gray-800 mt-6 text-left">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-bold text-gray-900 flex items-center gap-2"><Users size={18} className="text-purple-500" /> Your Crews</h2>
+        {!isCreating && (
+          <button onClick={() => setIsCreating(true)} className="text-xs font-bold text-purple-600 hover:text-purple-800">+ New crew</button>
+        )}
+      </div>
+      {isCreating && (
+        <div className="mb-4">
+          <CrewForm
+            submitLabel="Create Crew"
+            onSubmit={async (values) => {
+              await onCreate(values);
+              setIsCreating(false);
+            }}
+            onCancel={() => setIsCreating(false)}
+          />
+        </div>
+      )}
+      {crews.length === 0 && !isCreating && (
+        <p className="text-sm text-gray-400">Decide with the same people often? Make a crew and start each day's session in one click.</p>
+      )}
+      <div className="space-y-2">
+        {crews.map(crew => (
+          <div key={crew.id} className="flex items-center justify-between gap-3 p-3 rounded-2xl bg-gray-50 border border-gray-100">
+            <button onClick={() => onOpen(crew.id)} className="text-left min-w-0">
+              <p className="font-bold text-gray-900 truncate">{crew.name}</p>
+              <p className="text-xs text-gray-500 truncate">{crew.defaultLocation} · {crew.memberIds.length} members</p>
+            </button>
+            <button
+              onClick={() => onStartSession(crew.id)}
+              className="flex-shrink-0 px-3 py-2 rounded-xl bg-gradient-to-r from-indigo-600 to-purple-600 text-white text-xs font-bold shadow"
+            >
+              Start today's
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// In-app notice that someone in one of our crews started today's session.
+function CrewSessionBanner({ crews, userId, dismissed, onJoin, onDismiss }) {
+  const active = crews.find(c =>
+    c.activeSessionId && c.activeSessionBy !== userId && isToday(c.activeSessionAt) && !dismissed.includes(c.activeSessionId));
+  if (!active) return null;
+
+  const starter = active.members?.[active.activeSessionBy]?.name || 'Someone';
+  return (
+    <div className="fixed bottom-4 left-0 right-0 flex justify-center px-4 z-40">
+      <div className="max-w-md w-full bg-white rounded-2xl shadow-2xl p-4 flex items-center gap-3 text-gray-800">
+        <Users className="text-purple-500 flex-shrink-0" size={20} />
+        <p className="text-sm font-medium flex-1">{starter} started today's <strong>{active.name}</strong> session.</p>
+        <button onClick={() => onJoin(active.activeSessionId)} className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-xs font-bold">Join</button>
+        <button onClick={() => onDismiss(active.activeSessionId)} className="text-gray-400 hover:text-gray-600"><X size={16} /></button>
+      </div>
+    </div>
+  );
+}
+
+function CrewPage({ crew, userId, defaultName, sessions, participants, onStartSession, onOpenSession, onJoin, onLeave, onUpdate, onBack }) {
+  const [name, setName] = useState(defaultName || '');
+  const [isEditing, setIsEditing] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const isMember = crew.memberIds.includes(userId);
+
+  const history = useMemo(
+    () => [...sessions].sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0)),
+    [sessions]
+  );
+  const attendance = useMemo(() => {
+    const counts = {};
+    participants.forEach(p => { counts[p.userId] = (counts[p.userId] || 0) + 1; });
+    return counts;
+  }, [participants]);
+
+  const inviteUrl = `${window.location.origin}${crewPath(crew.id)}`;
+  const handleCopy = () => {
+    navigator.clipboard.writeText(inviteUrl).catch(() => {});
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="w-full max-w-lg mx-auto p-4 pb-16 text-gray-800 bg-gray-50 min-h-screen shadow-2xl">
+      <button onClick={onBack} className="text-sm font-bold text-gray-400 hover:text-gray-600 mb-4">← Back</button>
+
+      <div className="bg-white rounded-3xl p-6 shadow-sm mb-6 border border-gray-100 text-center">
+        <h2 className="text-2xl font-bold text-gray-900 mb-1">{crew.name}</h2>
+        <p className="text-sm text-gray-500 mb-1">{crew.defaultLocation}</p>
+        <p className="text-xs font-bold text-purple-500 uppercase tracking-widest mb-6">
+          {VOTING_MODES[crew.defaultVotingMode || DEFAULT_VOTING_MODE].label} Voting
+        </p>
+
+        {isMember ? (
+          <>
+            <button
+              onClick={() => onStartSession(crew.id)}
+              className="w-full bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-bold py-3.5 rounded-xl shadow-lg hover:shadow-xl flex justify-center items-center gap-2"
+            >
+              {crew.activeSessionId && isToday(crew.activeSessionAt) ? "Go to Today's Session" : "Start Today's Session"} <ArrowRight size={18} />
+            </button>
+            <div className="flex gap-2 mt-3">
+              <button onClick={handleCopy} className="flex-1 py-2 rounded-xl border border-gray-200 text-xs font-bold text-gray-500 flex justify-center items-center gap-1">
+                {copied ? <Check size={14} /> : <Copy size={14} />} {copied ? 'Copied!' : 'Copy invite link'}
+              </button>
+              {crew.ownerId === userId && (
+                <button onClick={() => setIsEditing(!isEditing)} className="flex-1 py-2 rounded-xl border border-gray-200 text-xs font-bold text-gray-500">
+                  Edit defaults
+                </button>
+              )}
+            </div>
+            {isEditing && (
+              <div className="mt-4">
+                <CrewForm
+                  initial={crew}
+                  submitLabel="Save"
+                  onSubmit={async (values) => {
+                    await onUpdate(crew.id, values);
+                    setIsEditing(false);
+                  }}
+                  onCancel={() => setIsEditing(false)}
+                />
+              </div>
+            )}
+          </>
+        ) : (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (name.trim()) onJoin(crew.id, name);
+            }}
+            className="flex gap-2"
+          >
+            <input
+              type="text"
+              placeholder="Your name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="flex-1 min-w-0 px-3 py-2.5 rounded-xl border border-gray-200 bg-gray-50 focus:bg-white focus:border-purple-500 outline-none text-sm font-medium"
+              required
+            />
+            <button type="submit" className="px-4 py-2.5 rounded-xl bg-indigo-600 text-white text-sm font-bold">Join Crew</button>
+          </form>
+        )}
+      </div>
+
+      <h3 className="text-xs font-bold text-gray-400 uppercase tracking-widest mb-3 pl-2">Members ({crew.memberIds.length})</h3>
+      <div className="bg-white rounded-2xl border border-gray-100 divide-y divide-gray-100 mb-6">
+        {crew.memberIds.map(uid => {
+          const member = crew.members?.[uid] || {};
+          return (
+            <div key={uid} className="flex items-center justify-between p-3">
+              <div className="flex items-center gap-3">
+                <div
+                  style={member.avatarColor ? { backgroundColor: member.avatarColor } : undefined}
+                  className={`w-8 h-8 rounded-full flex items-center justify-center text-xs font-bold ${member.avatarColor ? 'text-white' : 'bg-gray-100 text-gray-500'}`}
+                >
+                  {(member.name || '?').charAt(0).toUpperCase()}
+                </div>
+                <p className="font-bold text-sm text-gray-900">
+                  {member.name} {uid === userId && <span className="text-purple-500 text-xs ml-1">(You)</span>}
+                  {uid === crew.ownerId && <span className="text-amber-500 text-[10px] font-bold uppercase tracking-wider ml-2">Owner</span>}
+                </p>
+              </div>
+              <p className="text-xs text-gray-400 font-medium">{attendance[uid] || 0} of {history.length} sessions</p>
+            </div>
+          );
+        })}
+      </div>
+
+      <h3 className="text-xs font-bold text-gray-400 uppercase tracking-widest mb-3 pl-2">Past Sessions</h3>
+      <div className="space-y-2 mb-8">
+        {history.length === 0 && <p className="text-sm text-gray-400 pl-2">No sessions yet.</p>}
+        {history.map(session => (
+          <HistoryEntry
+            key={session.id}
+            session={session}
+            participants={participants.filter(p => p.sessionId === session.id)}
+            action={session.status !== 'finished' && isMember && (
+              <button onClick={() => onOpenSession(session.id)} className="text-xs font-bold text-purple-600 flex-shrink-0">Open</button>
+            )}
+          />
+        ))}
+      </div>
+
+      {isMember && (
+        <button onClick={() => onLeave(crew.id)} className="w-full text-sm font-bold text-red-500 hover:text-red-700">Leave crew</button>
+      )}
     </div>
   );
 }
 
-function JoinSession({ onJoin, sessionId }) {
-  const [name, setName] = useState('');
+function JoinSession({ onJoin, sessionId, defaultName }) {
+  const [name, setName] = useState(defaultName || '');
   const [isJoining, setIsJoining] = useState(false);
+  const [error, setError] = useState('');
 
-  const handleSubmit = (e) => {
+  useEffect(() => {
+    if (defaultName) setName(current => current || defaultName);
+  }, [defaultName]);
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
     if (!name.trim()) return;
     setIsJoining(true);
-    onJoin(name, sessionId);
+    setError('');
+    try {
+      await onJoin(name, sessionId);
+    } catch (err) {
+      setError(err.message);
+      setIsJoining(false);
+    }
   };
 
   return (
@@ -282,6 +818,12 @@ function JoinSession({ onJoin, sessionId }) {
             className="w-full px-4 py-4 rounded-2xl border border-gray-200 bg-gray-50 focus:bg-white focus:border-purple-500 focus:ring-4 focus:ring-purple-100 outline-none transition-all text-lg font-medium"
             required
           />
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-100 rounded-xl text-red-700 text-sm flex items-start gap-2 text-left">
+              <AlertCircle className="flex-shrink-0 mt-0.5" size={16} />
+              <p>{error}</p>
+            </div>
+          )}
           <button
             type="submit"
             disabled={isJoining}
@@ -295,15 +837,405 @@ function JoinSession({ onJoin, sessionId }) {
   );
 }
 
-function Lobby({ session, participants, userId, onSubmitPref, onStartVoting, isStarting }) {
+function SessionExpired({ sessionId, onReset }) {
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen px-6 text-center text-white">
+      <div className="mb-8">
+        <Clock size={64} className="text-white opacity-90" />
+      </div>
+      <h1 className="text-5xl font-extrabold mb-8 drop-shadow-sm">This Session Has Expired</h1>
+      <div className="w-full max-w-md bg-white rounded-3xl p-8 shadow-2xl text-gray-800 relative overflow-hidden">
+        <div className="absolute top-0 left-0 right-0 h-2 bg-gradient-to-r from-pink-500 to-orange-500"></div>
+        <p className="text-gray-500 mb-2 text-sm font-medium">Session ID: <span className="font-mono font-bold text-lg text-gray-400 bg-gray-100 px-3 py-1 rounded ml-2 line-through">{sessionId}</span></p>
+        <p className="text-gray-600 my-6 leading-relaxed">
+          Unfinished sessions close after a day, and old decisions are cleared out after a while. Ask whoever shared the link to start a fresh one, or start your own.
+        </p>
+        <button
+          onClick={onReset}
+          className="w-full bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-bold py-4 rounded-2xl shadow-xl hover:shadow-2xl hover:scale-[1.02] transform transition-all text-lg flex justify-center items-center gap-2"
+        >
+          Start a New Decision <ArrowRight size={20} />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ToggleChip({ active, onClick, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className={`px-3 py-1.5 rounded-full border text-xs font-bold capitalize transition-colors ${
+        active ? 'bg-purple-600 border-purple-600 text-white' : 'bg-white border-gray-200 text-gray-500 hover:border-gray-300'
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
+
+const toggleIn = (list, value) =>
+  list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+
+function ProfilePanel({ profile, account, onSave, onSendLink, onClose }) {
+  const [displayName, setDisplayName] = useState(profile?.displayName || '');
+  const [avatarColor, setAvatarColor] = useState(profile?.avatarColor || null);
+  const [dietary, setDietary] = useState(profile?.dietary || []);
+  const [dislikedCuisines, setDislikedCuisines] = useState(profile?.dislikedCuisines || []);
+  const [email, setEmail] = useState('');
+  const [linkSent, setLinkSent] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await onSave({ displayName, avatarColor, dietary, dislikedCuisines });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  const handleSendLink = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await onSendLink(email.trim());
+      setLinkSent(true);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-end sm:items-center justify-center p-4">
+      <div className="w-full max-w-md max-h-[90vh] overflow-y-auto bg-white rounded-3xl p-6 shadow-2xl text-gray-800 text-left">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-900">Your Profile</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={20} /></button>
+        </div>
+
+        <label className="block text-xs font-bold text-gray-400 uppercase tracking-widest mb-2">Display name</label>
+        <input
+          type="text"
+          value={displayName}
+          onChange={(e) => setDisplayName(e.target.value)}
+          maxLength={60}
+          className="w-full px-4 py-3 rounded-2xl border border-gray-200 bg-gray-50 focus:bg-white focus:border-purple-500 focus:ring-4 focus:ring-purple-100 outline-none transition-all font-medium mb-6"
+        />
+
+        <p className="text-xs font-bold text-gray-400 uppercase tracking-widest mb-2">Avatar color</p>
+        <div className="flex flex-wrap gap-2 mb-6">
+          {AVATAR_COLORS.map(color => (
+            <button
+              key={color}
+              type="button"
+              onClick={() => setAvatarColor(color)}
+              style={{ backgroundColor: color }}
+              className={`w-9 h-9 rounded-full transition-transform ${avatarColor === color ? 'ring-4 ring-offset-2 ring-purple-200 scale-110' : ''}`}
+              aria-label={color}
+            />
+          ))}
+        </div>
+
+        <p className="text-xs font-bold text-gray-400 uppercase tracking-widest mb-2">Dietary needs</p>
+        <div className="flex flex-wrap gap-2 mb-6">
+          {DIETARY_OPTIONS.map(d => (
+            <ToggleChip key={d} active={dietary.includes(d)} onClick={() => setDietary(toggleIn(dietary, d))}>
+              {DIETARY_LABELS[d]}
+            </ToggleChip>
+          ))}
+        </div>
+
+        <p className="text-xs font-bold text-gray-400 uppercase tracking-widest mb-2">Cuisines you'd rather skip</p>
+        <div className="flex flex-wrap gap-2 mb-6">
+          {CUISINE_OPTIONS.map(c => (
+            <ToggleChip
+              key={c.alias}
+              active={dislikedCuisines.includes(c.alias)}
+              onClick={() => setDislikedCuisines(toggleIn(dislikedCuisines, c.alias))}
+            >
+              {c.label}
+            </ToggleChip>
+          ))}
+        </div>
+
+        <div className="bg-slate-50 rounded-2xl p-4 border border-slate-100 mb-6">
+          {account?.isAnonymous ? (
+            linkSent ? (
+              <p className="text-sm text-slate-600 flex items-start gap-2">
+                <Mail size={16} className="flex-shrink-0 mt-0.5 text-purple-500" />
+                Check {email} for a sign-in link. Open it on any device to keep this profile.
+              </p>
+            ) : (
+              <form onSubmit={handleSendLink}>
+                <p className="text-sm text-slate-600 mb-3">You're a guest on this device. Add your email to use this profile everywhere.</p>
+                <div className="flex gap-2">
+                  <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="you@example.com"
+                    className="flex-1 min-w-0 px-3 py-2 rounded-xl border border-gray-200 bg-white focus:border-purple-500 outline-none text-sm"
+                    required
+                  />
+                  <button type="submit" className="px-4 py-2 rounded-xl bg-indigo-600 text-white text-sm font-bold hover:bg-indigo-700">
+                    Send link
+                  </button>
+                </div>
+              </form>
+            )
+          ) : (
+            <p className="text-sm text-slate-600">Signed in as <strong>{account?.email}</strong></p>
+          )}
+        </div>
+
+        {error && (
+          <div className="p-3 mb-4 bg-red-50 border border-red-100 rounded-xl text-red-700 text-sm flex items-start gap-2">
+            <AlertCircle className="flex-shrink-0 mt-0.5" size={16} />
+            <p>{error}</p>
+          </div>
+        )}
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className="w-full bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-bold py-3.5 rounded-xl shadow-lg hover:shadow-xl disabled:opacity-50 transition-all"
+        >
+          {isSaving ? 'Saving...' : 'Save Profile'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const CHIP_STYLES = {
+  cuisine: 'bg-indigo-50 text-indigo-700 border-indigo-100',
+  dietary: 'bg-green-50 text-green-700 border-green-100',
+  exclusion: 'bg-red-50 text-red-600 border-red-100',
+  vibe: 'bg-pink-50 text-pink-600 border-pink-100',
+  price: 'bg-emerald-50 text-emerald-700 border-emerald-100',
+  radius: 'bg-sky-50 text-sky-700 border-sky-100'
+};
+
+function CravingChips({ chips, onDismiss }) {
+  if (chips.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {chips.map(chip => (
+        <span
+          key={chip.id}
+          className={`inline-flex items-center gap-1 px-2.5 py-1 rounded-full border text-xs font-bold capitalize ${CHIP_STYLES[chip.type]}`}
+        >
+          {chip.label}
+          {onDismiss && (
+            <button type="button" onClick={() => onDismiss(chip.id)} className="opacity-60 hover:opacity-100">
+              <X size={12} />
+            </button>
+          )}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+function ParticipantControls({ participant, session, userId, onManage }) {
+  const isHost = session.hostId === userId;
+  const isCoHost = (session.coHostIds || []).includes(participant.userId);
+  // Co-hosts can only remove regular participants; nobody manages the host.
+  if (participant.userId === userId || participant.userId === session.hostId) return null;
+  if (!isHost && isCoHost) return null;
+
+  const buttonClass = 'text-[11px] font-bold px-2 py-1 rounded-lg border transition-colors';
+  return (
+    <div className="flex flex-wrap justify-end gap-1 mt-2">
+      {isHost && (
+        <>
+          <button
+            onClick={() => onManage('host', participant)}
+            className={`${buttonClass} border-indigo-100 text-indigo-600 hover:bg-indigo-50`}
+          >
+            Make host
+          </button>
+          <button
+            onClick={() => onManage(isCoHost ? 'uncohost' : 'cohost', participant)}
+            className={`${buttonClass} border-purple-100 text-purple-600 hover:bg-purple-50`}
+          >
+            {isCoHost ? 'Remove co-host' : 'Make co-host'}
+          </button>
+        </>
+      )}
+      <button
+        onClick={() => onManage('kick', participant)}
+        className={`${buttonClass} border-gray-200 text-gray-500 hover:bg-gray-50`}
+      >
+        Kick
+      </button>
+      <button
+        onClick={() => onManage('ban', participant)}
+        className={`${buttonClass} border-red-100 text-red-600 hover:bg-red-50`}
+      >
+        Ban
+      </button>
+    </div>
+  );
+}
+
+const PRESENCE_DOTS = {
+  online: 'bg-green-400',
+  away: 'bg-amber-400',
+  left: 'bg-gray-300'
+};
+
+// Refresh the typing flag at most this often while keys are being pressed, and
+// clear it after this much quiet.
+const TYPING_REFRESH_MS = 3000;
+const TYPING_IDLE_MS = 4000;
+
+function NominationPanel({ nominations, onSearch, onNominate, onWithdraw }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState('');
+  const isFull = nominations.length >= MAX_NOMINATIONS;
+  const isNominated = (r) => nominations.some(n => n.id === r.id);
+
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    setIsSearching(true);
+    run(async () => setResults(await onSearch(query))).finally(() => setIsSearching(false));
+  };
+
+  return (
+    <div className="bg-white rounded-3xl p-6 shadow-sm mb-6 border border-gray-100">
+      <h3 className="font-bold text-gray-900 mb-1">Have a place in mind?</h3>
+      <p className="text-sm text-gray-500 mb-4">Nominate up to {MAX_NOMINATIONS} and they go straight onto the ballot.</p>
+
+      {nominations.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {nominations.map(n => (
+            <span key={n.id} className="inline-flex items-center gap-1 bg-purple-100 text-purple-700 text-xs font-bold pl-3 pr-1 py-1 rounded-full">
+              {n.name}
+              <button onClick={() => run(() => onWithdraw(n.id))} className="p-0.5 rounded-full hover:bg-purple-200" aria-label={`Withdraw ${n.name}`}>
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {!isFull && (
+        <form onSubmit={handleSearch} className="flex gap-2">
+          <input
+            type="text"
+            placeholder="Search for a restaurant"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            className="flex-1 min-w-0 px-4 py-3 rounded-xl border border-gray-200 bg-gray-50 focus:bg-white focus:border-purple-500 outline-none text-sm"
+          />
+          <button type="submit" disabled={!query.trim() || isSearching} className="px-4 rounded-xl bg-gray-900 text-white disabled:opacity-50" aria-label="Search">
+            {isSearching ? <RefreshCw size={16} className="animate-spin" /> : <Search size={16} />}
+          </button>
+        </form>
+      )}
+
+      {error && <p className="text-xs text-red-600 font-medium mt-2">{error}</p>}
+
+      {!isFull && results && (
+        <div className="mt-3 divide-y divide-gray-100">
+          {results.map(r => (
+            <div key={r.id} className="flex items-center justify-between gap-3 py-2.5">
+              <div className="min-w-0">
+                <p className="font-bold text-sm text-gray-900 truncate">{r.name}</p>
+                <p className="text-xs text-gray-500 truncate">{[r.cuisine, r.address].filter(Boolean).join(' · ')}</p>
+              </div>
+              <button
+                onClick={() => run(() => onNominate(r))}
+                disabled={isNominated(r)}
+                className="flex-shrink-0 text-xs font-bold px-3 py-1.5 rounded-lg bg-purple-50 text-purple-700 hover:bg-purple-100 disabled:opacity-50 flex items-center gap-1"
+              >
+                {isNominated(r) ? <><Check size={12} /> Added</> : <><Plus size={12} /> Nominate</>}
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={() => run(() => onNominate(query.trim()))}
+            className="w-full text-left text-xs font-bold text-gray-500 hover:text-purple-700 pt-3"
+          >
+            {results.length === 0 ? 'Nothing found. ' : 'Not listed? '}Nominate "{query.trim()}" as typed
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Lobby({ session, participants, userId, onSubmitPref, onTyping, onStartVoting, onDeadline, onManage, onSetLocked, onShareLocation, onSearch, onNominate, onWithdraw, isStarting }) {
   const [craving, setCraving] = useState('');
+  const [dismissed, setDismissed] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState('');
   const [copied, setCopied] = useState(false);
+  const [isLocating, setIsLocating] = useState(false);
+  const [locationError, setLocationError] = useState('');
+  const typingSentAt = useRef(0);
+  const typingIdle = useRef(null);
+  const now = useServerNow();
   const userParticipant = participants.find(p => p.userId === userId);
-  const isHost = session.hostId === userId;
+  const canModerate = isModerator(session, userId);
+  const waitingOn = participants.filter(p => !p.preference && presenceOf(p, now) !== 'left').length;
+
+  const stopTyping = () => {
+    clearTimeout(typingIdle.current);
+    if (typingSentAt.current) {
+      typingSentAt.current = 0;
+      onTyping(false);
+    }
+  };
+
+  useEffect(() => () => clearTimeout(typingIdle.current), []);
+
+  const handleCravingChange = (e) => {
+    setCraving(e.target.value);
+    if (Date.now() - typingSentAt.current > TYPING_REFRESH_MS) {
+      typingSentAt.current = Date.now();
+      onTyping(true);
+    }
+    clearTimeout(typingIdle.current);
+    typingIdle.current = setTimeout(stopTyping, TYPING_IDLE_MS);
+  };
   const hasSubmitted = !!userParticipant?.preference;
+  const sharedCount = participants.filter(p => p.coordinates).length;
+
+  const toggleSharedLocation = async () => {
+    setIsLocating(true);
+    setLocationError('');
+    try {
+      await onShareLocation(userParticipant?.coordinates ? null : await getCurrentCoordinates());
+    } catch (err) {
+      setLocationError(err.message);
+    }
+    setIsLocating(false);
+  };
+
+  const inviteUrl = `${window.location.origin}${sessionPath(session.id, 'join')}`;
 
   const handleCopy = () => {
-    const url = window.location.href;
+    const url = inviteUrl;
     navigator.clipboard.writeText(url).catch(() => {
       const textArea = document.createElement("textarea");
       textArea.value = url;
@@ -319,11 +1251,37 @@ function Lobby({ session, participants, userId, onSubmitPref, onStartVoting, isS
     setTimeout(() => setCopied(false), 2000);
   };
 
-  const handleSubmit = (e) => {
+  const standing = userParticipant?.standing;
+  const draftChips = useMemo(
+    () => cravingChips(dismissChips(withStanding(parseCraving(craving), standing), dismissed)),
+    [craving, dismissed, standing]
+  );
+  const submittedChips = userParticipant?.parsedPreference ? cravingChips(userParticipant.parsedPreference) : [];
+
+  // The draft is only cleared once the server took it, so a rejected craving
+  // can be fixed rather than retyped.
+  const savePreference = async (text, chips) => {
+    setIsSubmitting(true);
+    setSubmitError('');
+    try {
+      await onSubmitPref(text, chips);
+      return true;
+    } catch (err) {
+      setSubmitError(err.message);
+      return false;
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    if (craving.trim()) {
-      onSubmitPref(craving);
+    if (!craving.trim()) return;
+    clearTimeout(typingIdle.current);
+    typingSentAt.current = 0;
+    if (await savePreference(craving, dismissed)) {
       setCraving('');
+      setDismissed([]);
     }
   };
 
@@ -337,7 +1295,36 @@ function Lobby({ session, participants, userId, onSubmitPref, onStartVoting, isS
             </div>
         </div>
         <h2 className="text-xl font-bold text-gray-900 mb-1">PickIt Session</h2>
-        <p className="text-sm text-gray-500 mb-6">{session.location}</p>
+        <p className="text-sm text-gray-500 mb-1">
+          {session.location}
+          {session.radius > 0 && <> · {formatRadius(session.radius)}</>}
+        </p>
+        <p className="text-xs font-bold text-purple-500 uppercase tracking-widest mb-6">
+          {VOTING_MODES[session.votingMode || DEFAULT_VOTING_MODE].label} Voting
+          {session.customList?.length > 0 && <> · Our List ({session.customList.length})</>}
+        </p>
+        {session.lobbyDeadline && (
+          <div className="mb-6">
+            <Countdown deadline={session.lobbyDeadline} label="Voting starts in" onExpire={onDeadline} />
+          </div>
+        )}
+        {session.locationMode === 'midpoint' && (
+          <div className="bg-indigo-50 rounded-2xl p-4 mb-6 border border-indigo-100 text-left">
+            <p className="text-sm font-bold text-indigo-900">{LOCATION_MODES.midpoint.label}</p>
+            <p className="text-xs text-indigo-700 mb-3">
+              {sharedCount} of {participants.length} shared · {LOCATION_MODES.midpoint.description}
+            </p>
+            <button
+              onClick={toggleSharedLocation}
+              disabled={isLocating}
+              className="w-full bg-white border border-indigo-200 text-indigo-700 font-bold py-2.5 rounded-xl text-sm flex items-center justify-center gap-2 hover:bg-indigo-100 disabled:opacity-50 transition-colors"
+            >
+              <MapPin size={16} />
+              {isLocating ? 'Locating...' : userParticipant?.coordinates ? 'Stop sharing my location' : 'Share my location'}
+            </button>
+            {locationError && <p className="text-xs text-red-600 font-medium mt-2">{locationError}</p>}
+          </div>
+        )}
         
         <div className="bg-slate-50 rounded-2xl p-6 mb-6 border border-slate-100">
           <p className="text-xs uppercase tracking-widest text-slate-400 font-bold mb-2">Session ID</p>
@@ -345,7 +1332,7 @@ function Lobby({ session, participants, userId, onSubmitPref, onStartVoting, isS
           
            <div className="flex flex-col gap-3">
              <div className="bg-white border border-gray-200 rounded-xl px-3 py-2 text-xs text-gray-400 truncate font-mono">
-               {window.location.href}
+               {inviteUrl}
              </div>
              <button
               onClick={handleCopy}
@@ -360,6 +1347,20 @@ function Lobby({ session, participants, userId, onSubmitPref, onStartVoting, isS
         </div>
         
         <p className="text-xs text-gray-400 font-medium">Share with your group so everyone can submit preferences!</p>
+        {canModerate && (
+          <button
+            onClick={() => onSetLocked(!session.locked)}
+            className={`mt-4 inline-flex items-center gap-2 text-xs font-bold px-4 py-2 rounded-full border transition-colors ${
+              session.locked ? 'bg-amber-50 border-amber-200 text-amber-700' : 'bg-white border-gray-200 text-gray-500 hover:border-gray-300'
+            }`}
+          >
+            {session.locked ? <Lock size={14} /> : <Unlock size={14} />}
+            {session.locked ? 'Locked: no new people can join' : 'Lock session'}
+          </button>
+        )}
+        {!canModerate && session.locked && (
+          <p className="mt-4 text-xs font-bold text-amber-600 flex items-center justify-center gap-1"><Lock size={12} /> Session locked</p>
+        )}
       </div>
 
       <div className="bg-white rounded-3xl p-6 shadow-sm mb-6 border border-gray-100">
@@ -372,13 +1373,29 @@ function Lobby({ session, participants, userId, onSubmitPref, onStartVoting, isS
           <form onSubmit={handleSubmit}>
             <textarea
               value={craving}
-              onChange={(e) => setCraving(e.target.value)}
+              onChange={handleCravingChange}
+              onBlur={stopTyping}
+              maxLength={MAX_PREFERENCE_LENGTH}
               placeholder="Describe what you want... (e.g., burgers and live music under $30)"
               className="w-full p-4 rounded-2xl border border-gray-200 bg-gray-50 focus:bg-white focus:border-purple-500 focus:ring-4 focus:ring-purple-100 outline-none transition-all resize-none h-32 mb-4 text-base placeholder-gray-400"
             />
+            {draftChips.length > 0 && (
+              <div className="mb-4">
+                <p className="text-xs text-gray-400 font-medium mb-2">
+                  Here's what we understood{hasStanding(standing) && ', including your profile'}. Tap × to drop anything we got wrong.
+                </p>
+                <CravingChips chips={draftChips} onDismiss={(id) => setDismissed([...dismissed, id])} />
+              </div>
+            )}
+            {submitError && (
+              <div className="p-3 mb-4 bg-red-50 border border-red-100 rounded-xl text-red-700 text-sm flex items-start gap-2">
+                <AlertCircle className="flex-shrink-0 mt-0.5" size={16} />
+                <p>{submitError}</p>
+              </div>
+            )}
             <button
               type="submit"
-              disabled={!craving.trim()}
+              disabled={!craving.trim() || isSubmitting}
               className="w-full bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-bold py-3.5 rounded-xl shadow-lg hover:shadow-xl hover:-translate-y-0.5 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none transition-all"
             >
               Submit My Preferences
@@ -390,9 +1407,16 @@ function Lobby({ session, participants, userId, onSubmitPref, onStartVoting, isS
                <Check className="text-green-600" size={28} strokeWidth={3} />
              </div>
              <p className="font-bold text-green-900 text-lg mb-1">Preferences Submitted!</p>
-             <p className="text-green-700 text-sm mb-6 px-4">"{userParticipant.preference}"</p>
+             <p className="text-green-700 text-sm mb-4 px-4">"{userParticipant.preference}"</p>
+             {submittedChips.length > 0 && (
+               <div className="flex justify-center px-4 mb-6">
+                 <CravingChips chips={submittedChips} />
+               </div>
+             )}
+             {submitError && <p className="text-sm text-red-600 mb-3 px-4">{submitError}</p>}
              <button 
-                onClick={() => onSubmitPref('')}
+                onClick={() => savePreference('', [])}
+                disabled={isSubmitting}
                 className="text-sm font-bold text-gray-400 hover:text-gray-600 bg-white px-4 py-2 rounded-lg border border-gray-200 hover:border-gray-300 transition-colors"
              >
                Edit Response
@@ -401,39 +1425,79 @@ function Lobby({ session, participants, userId, onSubmitPref, onStartVoting, isS
         )}
       </div>
 
+      {userParticipant && (
+        <NominationPanel
+          nominations={userParticipant.nominations || []}
+          onSearch={onSearch}
+          onNominate={onNominate}
+          onWithdraw={onWithdraw}
+        />
+      )}
+
       <div className="mb-24">
         <h3 className="text-xs font-bold text-gray-400 uppercase tracking-widest mb-4 pl-2">
           Participants ({participants.length})
         </h3>
         <div className="space-y-3">
-          {participants.map(p => (
-            <div key={p.userId} className="bg-white p-4 rounded-2xl shadow-sm flex items-center justify-between border border-gray-100 hover:shadow-md transition-shadow">
-              <div className="flex items-center gap-4">
-                <div className={`w-10 h-10 rounded-full flex items-center justify-center text-sm font-bold shadow-inner ${p.preference ? 'bg-gradient-to-br from-purple-100 to-indigo-100 text-indigo-700' : 'bg-gray-100 text-gray-400'}`}>
-                  {p.name.charAt(0).toUpperCase()}
+          {participants.map(p => {
+            const presence = presenceOf(p, now);
+            return (
+              <div key={p.userId} className={`bg-white p-4 ${presence === 'left' ? 'opacity-60' : ''} rounded-2xl shadow-sm flex items-center justify-between border border-gray-100 hover:shadow-md transition-shadow`}>
+                <div className="flex items-center gap-4">
+                  <div className="relative">
+                    <div
+                      style={p.avatarColor ? { backgroundColor: p.avatarColor } : undefined}
+                      className={`w-10 h-10 rounded-full flex items-center justify-center text-sm font-bold shadow-inner ${
+                        p.avatarColor ? 'text-white' : p.preference ? 'bg-gradient-to-br from-purple-100 to-indigo-100 text-indigo-700' : 'bg-gray-100 text-gray-400'
+                      }`}
+                    >
+                      {p.name.charAt(0).toUpperCase()}
+                    </div>
+                    <span
+                      title={PRESENCE_LABELS[presence]}
+                      className={`absolute -bottom-0.5 -right-0.5 w-3 h-3 rounded-full border-2 border-white ${PRESENCE_DOTS[presence]}`}
+                    ></span>
+                  </div>
+                  <div className="flex flex-col">
+                    <p className="font-bold text-gray-900 leading-tight">
+                      {p.name} {p.userId === userId && <span className="text-purple-500 text-xs ml-1">(You)</span>}
+                      {p.userId === session.hostId && <span className="text-amber-500 text-[10px] font-bold uppercase tracking-wider ml-2">Host</span>}
+                      {(session.coHostIds || []).includes(p.userId) && <span className="text-purple-400 text-[10px] font-bold uppercase tracking-wider ml-2">Co-host</span>}
+                    </p>
+                    {p.nominations?.length > 0 && (
+                       <p className="text-[10px] font-bold text-purple-400 uppercase tracking-wider truncate max-w-[180px]">Nominated {p.nominations.map(n => n.name).join(', ')}</p>
+                    )}
+                    {p.coordinates && session.locationMode === 'midpoint' && (
+                       <p className="text-[10px] font-bold text-indigo-400 uppercase tracking-wider flex items-center gap-1"><MapPin size={10} /> Shared location</p>
+                    )}
+                    {p.preference ? (
+                       <p className="text-xs text-gray-500 truncate max-w-[180px] mt-0.5">{p.preference}</p>
+                    ) : isTyping(p, now) ? (
+                       <p className="text-xs text-purple-500 italic mt-0.5 animate-pulse">Typing...</p>
+                    ) : (
+                       <p className="text-xs text-gray-400 mt-0.5">{presence === 'online' ? 'No preference yet' : PRESENCE_LABELS[presence]}</p>
+                    )}
+                  </div>
                 </div>
-                <div className="flex flex-col">
-                  <p className="font-bold text-gray-900 leading-tight">{p.name} {p.userId === userId && <span className="text-purple-500 text-xs ml-1">(You)</span>}</p>
+                <div className="flex flex-col items-end">
                   {p.preference ? (
-                     <p className="text-xs text-gray-500 truncate max-w-[180px] mt-0.5">{p.preference}</p>
+                    <div className="bg-green-100 p-1 rounded-full">
+                        <Check size={14} className="text-green-600" strokeWidth={3} />
+                    </div>
                   ) : (
-                     <p className="text-xs text-gray-400 italic mt-0.5">Typing...</p>
+                    <div className="w-2 h-2 bg-gray-300 rounded-full animate-pulse"></div>
+                  )}
+                  {canModerate && (
+                    <ParticipantControls participant={p} session={session} userId={userId} onManage={onManage} />
                   )}
                 </div>
               </div>
-              {p.preference ? (
-                <div className="bg-green-100 p-1 rounded-full">
-                    <Check size={14} className="text-green-600" strokeWidth={3} />
-                </div>
-              ) : (
-                <div className="w-2 h-2 bg-gray-300 rounded-full animate-pulse"></div>
-              )}
-            </div>
-          ))}
+            );
+          })}
         </div>
       </div>
 
-      {isHost && (
+      {canModerate && (
         <div className="fixed bottom-0 left-0 right-0 p-4 bg-white/90 backdrop-blur-lg border-t border-gray-200 shadow-[0_-5px_20px_rgba(0,0,0,0.1)] z-20">
           <div className="max-w-lg mx-auto">
              <button
@@ -447,10 +1511,17 @@ function Lobby({ session, participants, userId, onSubmitPref, onStartVoting, isS
                 <>Start Voting Phase <ArrowRight size={20} /></>
               )}
             </button>
+            {!isStarting && (
+              <p className="text-center text-xs font-medium text-gray-500 mt-2">
+                {waitingOn > 0
+                  ? `${waitingOn} active ${waitingOn === 1 ? 'person hasn\'t' : 'people haven\'t'} submitted yet`
+                  : 'Everyone here has submitted'}
+              </p>
+            )}
           </div>
         </div>
       )}
-      {!isHost && (
+      {!canModerate && (
         <div className="fixed bottom-0 left-0 right-0 p-6 bg-white border-t border-gray-100 text-center text-gray-500 text-sm font-medium z-20">
           Waiting for host to start voting...
         </div>
@@ -459,17 +1530,604 @@ function Lobby({ session, participants, userId, onSubmitPref, onStartVoting, isS
   );
 }
 
-function Voting({ session, candidates, userId, onVote, votes }) {
-  const voteCounts = useMemo(() => {
-    const counts = {};
-    votes.forEach(v => {
-      counts[v.restaurantId] = (counts[v.restaurantId] || 0) + 1;
-    });
-    return counts;
-  }, [votes]);
+function RankingBallot({ candidates, ranking, onChange, onSave, isDirty }) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const byId = useMemo(() => Object.fromEntries(candidates.map(c => [c.id, c])), [candidates]);
+
+  const move = (from, to) => {
+    if (to < 0 || to >= ranking.length || from === to) return;
+    const next = [...ranking];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    onChange(next);
+  };
+
+  return (
+    <div className="bg-white rounded-3xl p-5 shadow-sm border border-gray-100 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-xs font-bold text-gray-400 uppercase tracking-widest">Your Ranking</h3>
+        <span className="text-xs text-gray-400">Drag to reorder</span>
+      </div>
+
+      {ranking.length === 0 ? (
+        <p className="text-sm text-gray-400 italic py-4 text-center">Tap restaurants below to add them to your ballot.</p>
+      ) : (
+        <ol className="space-y-2 mb-4">
+          {ranking.map((rid, index) => (
+            <li
+              key={rid}
+              draggable
+              onDragStart={() => setDragIndex(index)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={() => {
+                if (dragIndex !== null) move(dragIndex, index);
+                setDragIndex(null);
+              }}
+              onDragEnd={() => setDragIndex(null)}
+              className={`flex items-center gap-3 bg-gray-50 border rounded-xl px-3 py-2 cursor-grab active:cursor-grabbing transition-all ${
+                dragIndex === index ? 'border-indigo-400 opacity-60' : 'border-gray-200'
+              }`}
+            >
+              <GripVertical size={16} className="text-gray-300 flex-shrink-0" />
+              <span className="w-6 h-6 rounded-full bg-indigo-600 text-white text-xs font-bold flex items-center justify-center flex-shrink-0">{index + 1}</span>
+              <span className="flex-1 font-bold text-sm text-gray-900 truncate">{byId[rid]?.name}</span>
+              <button type="button" onClick={() => move(index, index - 1)} className="text-gray-400 hover:text-gray-700 disabled:opacity-30" disabled={index === 0}>
+                <ChevronUp size={16} />
+              </button>
+              <button type="button" onClick={() => move(index, index + 1)} className="text-gray-400 hover:text-gray-700 disabled:opacity-30" disabled={index === ranking.length - 1}>
+                <ChevronDown size={16} />
+              </button>
+              <button type="button" onClick={() => onChange(ranking.filter(id => id !== rid))} className="text-gray-400 hover:text-red-500">
+                <X size={16} />
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <button
+        onClick={onSave}
+        disabled={!isDirty}
+        className="w-full bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-bold py-3 rounded-xl shadow-lg disabled:opacity-50 disabled:shadow-none transition-all"
+      >
+        {isDirty ? 'Save My Ranking' : 'Ranking Saved'}
+      </button>
+    </div>
+  );
+}
+
+const SWIPE_THRESHOLD = 100;
+
+function SwipeVoting({ candidates, userId, votes, onSwipe, onVeto }) {
+  const [dragX, setDragX] = useState(0);
+  const [dragStart, setDragStart] = useState(null);
+  // Swipes hide the card right away instead of waiting for the vote snapshot.
+  const [decided, setDecided] = useState([]);
+
+  const swiped = useMemo(
+    () => new Set(votes.filter(v => v.userId === userId).map(v => v.restaurantId)),
+    [votes, userId]
+  );
+  const deck = candidates.filter(c => !swiped.has(c.id) && !decided.includes(c.id));
+  const current = deck[0];
+  const myLikes = votes.filter(v => v.userId === userId && v.choice === 'like').length;
+
+  const decide = async (choice) => {
+    if (!current) return;
+    const rid = current.id;
+    setDecided(prev => [...prev, rid]);
+    setDragX(0);
+    const saved = await onSwipe(rid, choice);
+    if (!saved) setDecided(prev => prev.filter(id => id !== rid));
+  };
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'ArrowLeft') decide('pass');
+      if (e.key === 'ArrowRight') decide('like');
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  });
+
+  const handlePointerUp = () => {
+    if (dragStart === null) return;
+    setDragStart(null);
+    if (dragX > SWIPE_THRESHOLD) decide('like');
+    else if (dragX < -SWIPE_THRESHOLD) decide('pass');
+    else setDragX(0);
+  };
+
+  if (!current) {
+    return (
+      <div className="text-center py-16 bg-white rounded-3xl border border-gray-100 shadow-sm">
+        <div className="w-14 h-14 bg-indigo-100 rounded-full flex items-center justify-center mx-auto mb-3">
+          <Check className="text-indigo-600" size={28} strokeWidth={3} />
+        </div>
+        <p className="font-bold text-gray-900 text-lg mb-1">You've seen them all!</p>
+        <p className="text-gray-500 text-sm">You liked {myLikes} of {candidates.length}. Waiting on the rest of the group...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="select-none">
+      <p className="text-center text-xs font-bold text-gray-400 uppercase tracking-widest mb-4">
+        {candidates.length - deck.length + 1} of {candidates.length}
+      </p>
+
+      <div
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture(e.pointerId);
+          setDragStart(e.clientX);
+        }}
+        onPointerMove={(e) => dragStart !== null && setDragX(e.clientX - dragStart)}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        style={{
+          transform: `translateX(${dragX}px) rotate(${dragX / 20}deg)`,
+          transition: dragStart === null ? 'transform 0.3s ease-out' : 'none',
+          touchAction: 'pan-y'
+        }}
+        className="relative bg-white rounded-3xl shadow-xl border border-gray-100 overflow-hidden cursor-grab active:cursor-grabbing"
+      >
+        <div className="h-80 w-full relative overflow-hidden">
+          <img src={current.image} alt={current.name} draggable={false} className="w-full h-full object-cover pointer-events-none" />
+          {dragX > 30 && (
+            <span className="absolute top-6 left-6 border-4 border-green-500 text-green-500 font-black text-2xl px-3 py-1 rounded-xl -rotate-12 bg-white/80">LIKE</span>
+          )}
+          {dragX < -30 && (
+            <span className="absolute top-6 right-6 border-4 border-red-500 text-red-500 font-black text-2xl px-3 py-1 rounded-xl rotate-12 bg-white/80">NOPE</span>
+          )}
+        </div>
+        <div className="p-5">
+          <div className="flex justify-between items-start mb-1">
+            <h3 className="font-bold text-2xl text-gray-900 leading-tight">{current.name}</h3>
+            <div className="flex items-center gap-1 bg-yellow-400 text-white px-2 py-1 rounded-lg text-xs font-bold shadow-sm">
+              <Star size={12} fill="currentColor" /> {current.rating}
+            </div>
+          </div>
+          {current.nominatedBy?.length > 0 && (
+            <p className="text-xs font-bold text-purple-600 mb-1">Nominated by {current.nominatedBy.join(', ')}</p>
+          )}
+          <div className="flex items-center gap-2 text-sm text-gray-500 mb-3 font-medium">
+            {current.price && <>
+              <span className="text-green-600">{current.price}</span>
+              <span className="text-gray-300">•</span>
+            </>}
+            <span className="truncate">{current.cuisine}</span>
+          </div>
+          <div className="flex items-center gap-2 text-xs text-gray-400">
+            <MapPin size={14} className="flex-shrink-0" />
+            <span className="truncate">{current.address}</span>
+            {current.distance != null && (
+              <span className="flex-shrink-0 font-bold text-gray-500">· {formatDistance(current.distance)}</span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="flex justify-center gap-8 mt-8">
+        <button
+          onClick={() => decide('pass')}
+          aria-label="Pass"
+          className="w-16 h-16 rounded-full bg-white shadow-lg border border-gray-100 flex items-center justify-center text-red-500 hover:scale-110 active:scale-95 transition-transform"
+        >
+          <X size={32} strokeWidth={3} />
+        </button>
+        <button
+          onClick={() => decide('like')}
+          aria-label="Like"
+          className="w-16 h-16 rounded-full bg-white shadow-lg border border-gray-100 flex items-center justify-center text-green-500 hover:scale-110 active:scale-95 transition-transform"
+        >
+          <Heart size={30} fill="currentColor" />
+        </button>
+      </div>
+      <p className="text-center text-xs text-gray-400 mt-4">Swipe, tap, or use ← → keys</p>
+      {onVeto && (
+        <button
+          onClick={() => onVeto(current)}
+          className="mx-auto mt-3 text-xs font-bold text-red-500 hover:text-red-700 flex items-center gap-1"
+        >
+          <Ban size={12} /> Veto for everyone
+        </button>
+      )}
+    </div>
+  );
+}
+
+const ROUND_TRANSITION_MS = 3500;
+
+function RoundTransition({ session }) {
+  const [visibleRound, setVisibleRound] = useState(null);
+  const round = session.round || 1;
+
+  useEffect(() => {
+    if (round <= 1) return;
+    setVisibleRound(round);
+    const timer = setTimeout(() => setVisibleRound(null), ROUND_TRANSITION_MS);
+    return () => clearTimeout(timer);
+  }, [round]);
+
+  if (visibleRound !== round) return null;
+
+  const cut = (session.eliminated || []).filter(e => e.round === round - 1).map(e => e.id);
+  const names = (session.candidates || []).filter(c => cut.includes(c.id)).map(c => c.name);
+  const isFinal = activeCandidates(session).length === 2;
+
+  return (
+    <div
+      onClick={() => setVisibleRound(null)}
+      className="fixed inset-0 z-[60] bg-gradient-to-br from-indigo-900/95 via-purple-900/95 to-slate-900/95 flex flex-col items-center justify-center text-center text-white px-6 animate-[fadeIn_0.3s_ease-out]"
+    >
+      <p className="text-sm uppercase tracking-widest text-purple-200 font-bold mb-2">Round {round - 1} is over</p>
+      <h2 className="text-5xl font-black mb-6">{isFinal ? 'Final Head-to-Head' : `Round ${round}`}</h2>
+      {names.length > 0 && (
+        <div className="max-w-sm">
+          <p className="text-purple-200 text-sm mb-3">Eliminated:</p>
+          <div className="flex flex-wrap justify-center gap-2">
+            {names.map(name => (
+              <span key={name} className="bg-white/10 border border-white/20 px-3 py-1 rounded-full text-sm line-through decoration-red-400">{name}</span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// The host's rerolls and replacements, newest first, collapsed to one line.
+function SlateChanges({ changes, userId }) {
+  const [isOpen, setIsOpen] = useState(false);
+  if (!changes?.length) return null;
+
+  const newestFirst = [...changes].sort((a, b) => (b.at?.toMillis?.() || 0) - (a.at?.toMillis?.() || 0));
+  const names = (places) => places.map(p => p.name).join(', ') || 'nothing';
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-2xl px-4 py-3 mb-6 text-sm text-gray-600">
+      <button onClick={() => setIsOpen(!isOpen)} className="w-full flex items-center justify-between font-bold text-gray-700">
+        <span className="flex items-center gap-2"><Shuffle size={14} /> Slate changed {changes.length} time{changes.length !== 1 && 's'}</span>
+        {isOpen ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+      </button>
+      {isOpen && (
+        <ul className="mt-3 space-y-2">
+          {newestFirst.map((change, i) => (
+            <li key={i} className="border-t border-gray-100 pt-2">
+              <p className="font-medium text-gray-800">
+                {change.userId === userId ? 'You' : change.name} {change.type === 'reroll' ? 'rerolled the slate' : `replaced ${names(change.removed)}`}
+                {change.at && <span className="text-xs text-gray-400"> · {new Date(change.at.toMillis()).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}</span>}
+              </p>
+              {change.type === 'reroll' && <p className="text-xs text-gray-400 line-through">{names(change.removed)}</p>}
+              <p className="text-xs text-green-700">Added {names(change.added)}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// "when voting started" or "at 12:30 PM", for the session's open filter.
+const mealTimeLabel = (openAt) => {
+  if (openAt !== 'now' && typeof openAt === 'string') {
+    const [hours, minutes] = openAt.split(':').map(Number);
+    return `at ${formatClockTime(hours * 60 + minutes)}`;
+  }
+  return 'when voting started';
+};
+
+function OpenBadge({ restaurant, openAt }) {
+  if (restaurant.openAtMeal == null) return null;
+  return (
+    <div className={`inline-flex items-center gap-1 text-xs font-bold px-2.5 py-1 rounded-full mb-3 mr-2 ${
+      restaurant.openAtMeal ? 'bg-emerald-50 text-emerald-700' : 'bg-red-50 text-red-600'
+    }`}>
+      <Clock size={12} /> {restaurant.openAtMeal ? 'Open' : 'Closed'} {mealTimeLabel(openAt)}
+    </div>
+  );
+}
+
+function CandidateDetails({ restaurant, session, voted, voteLabel, onVote, onClose }) {
+  const today = new Date(serverNow()).getDay();
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end justify-center bg-black/50 backdrop-blur-sm" onClick={onClose}>
+      <div
+        className="w-full max-w-lg bg-white rounded-t-3xl shadow-2xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="h-44 relative">
+          <img src={restaurant.image} alt={restaurant.name} className="w-full h-full object-cover rounded-t-3xl" />
+          <button onClick={onClose} className="absolute top-4 right-4 bg-white/90 p-2 rounded-full shadow" aria-label="Close">
+            <X size={18} />
+          </button>
+        </div>
+        <div className="p-6">
+          <div className="flex justify-between items-start mb-1">
+            <h3 className="font-black text-2xl text-gray-900 leading-tight">{restaurant.name}</h3>
+            <div className="flex items-center gap-1 bg-yellow-400 text-white px-2 py-1 rounded-lg text-xs font-bold shadow-sm flex-shrink-0">
+              <Star size={12} fill="currentColor" /> {restaurant.rating}
+            </div>
+          </div>
+          <p className="text-sm text-gray-500 font-medium mb-4">
+            {restaurant.price && <span className="text-green-600 mr-2">{restaurant.price}</span>}
+            {restaurant.cuisine}
+            {restaurant.reviewCount > 0 && <span className="text-gray-400"> · {restaurant.reviewCount} reviews</span>}
+          </p>
+
+          <OpenBadge restaurant={restaurant} openAt={session.openAt} />
+          {(restaurant.transactions || []).map(t => (
+            <span key={t} className="inline-block text-xs font-bold px-2.5 py-1 rounded-full mb-3 mr-2 bg-indigo-50 text-indigo-700 capitalize">
+              {t.replace(/_/g, ' ')}
+            </span>
+          ))}
+
+          <div className="space-y-2 text-sm text-gray-600 mb-5">
+            {restaurant.address && (
+              <p className="flex items-start gap-2">
+                <MapPin size={16} className="flex-shrink-0 mt-0.5 text-gray-400" />
+                <span>
+                  {restaurant.address}
+                  {restaurant.distance != null && <span className="font-bold text-gray-500"> · {formatDistance(restaurant.distance)}</span>}
+                </span>
+              </p>
+            )}
+            {restaurant.phone && (
+              <a href={`tel:${restaurant.phone}`} className="flex items-center gap-2 hover:text-indigo-600">
+                <Phone size={16} className="text-gray-400" /> {restaurant.phone}
+              </a>
+            )}
+            {restaurant.url && (
+              <a href={restaurant.url} target="_blank" rel="noopener noreferrer" className="flex items-center gap-2 font-bold text-indigo-600 hover:text-indigo-800">
+                <ExternalLink size={16} /> {session.provider === 'yelp' ? 'View on Yelp' : 'Visit website'}
+              </a>
+            )}
+          </div>
+
+          {restaurant.hours && (
+            <div className="bg-gray-50 rounded-2xl p-4 mb-5 border border-gray-100">
+              <p className="text-xs uppercase tracking-widest text-gray-400 font-bold mb-2">Hours</p>
+              {DAY_NAMES.map((dayName, day) => (
+                <div key={dayName} className={`flex justify-between text-sm py-0.5 ${day === today ? 'font-bold text-gray-900' : 'text-gray-500'}`}>
+                  <span>{dayName}</span>
+                  <span className="text-right">{formatDayHours(restaurant.hours, day)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <button
+            onClick={() => { onVote(); onClose(); }}
+            className={`w-full font-bold py-3.5 rounded-xl transition-all ${
+              voted ? 'bg-gray-100 text-gray-700 hover:bg-gray-200' : 'bg-gradient-to-r from-indigo-600 to-purple-600 text-white shadow-lg hover:shadow-xl'
+            }`}
+          >
+            {voteLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const MAP_HEIGHT = 360;
+
+// Plots candidates by their provider coordinates. Tapping a pin votes, the
+// same as tapping the card in the list.
+function CandidateMap({ candidates, center, voteCounts, maxVotes, myVotes, onPick, onDetails }) {
+  const containerRef = useRef(null);
+  const [width, setWidth] = useState(0);
+  const [zoomOffset, setZoomOffset] = useState(0);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    setWidth(el.clientWidth);
+    if (typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const located = candidates.filter(r => isCoordinates(r.coordinates));
+  const points = [...located.map(r => r.coordinates), ...(isCoordinates(center) ? [center] : [])];
+  const fitted = width ? fitZoom(points, width, MAP_HEIGHT) : MIN_ZOOM;
+  const zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, fitted + zoomOffset));
+  const middle = boundsCenter(points, zoom);
+  const origin = { x: middle.x - width / 2, y: middle.y - MAP_HEIGHT / 2 };
+  const tiles = width && MAP_TILE_URL !== NO_TILES ? visibleTiles(origin, width, MAP_HEIGHT, zoom, MAP_TILE_URL) : [];
+  const place = (coordinates) => {
+    const p = project(coordinates, zoom);
+    return { left: p.x - origin.x, top: p.y - origin.y };
+  };
+  const selected = located.find(r => r.id === selectedId);
+
+  const handlePin = (rid) => {
+    setSelectedId(rid);
+    onPick(rid);
+  };
+
+  return (
+    <div className="mb-6">
+      <div
+        ref={containerRef}
+        style={{
+          height: MAP_HEIGHT,
+          backgroundImage: 'linear-gradient(#e5e7eb 1px, transparent 1px), linear-gradient(90deg, #e5e7eb 1px, transparent 1px)',
+          backgroundSize: '32px 32px'
+        }}
+        className="relative bg-slate-50 rounded-3xl overflow-hidden border border-gray-200 shadow-sm"
+      >
+        {tiles.map(tile => (
+          <img
+            key={tile.key}
+            src={tile.url}
+            alt=""
+            draggable={false}
+            style={{ left: tile.left, top: tile.top, width: 256, height: 256 }}
+            className="absolute max-w-none select-none pointer-events-none"
+          />
+        ))}
+
+        {width > 0 && isCoordinates(center) && (
+          <div
+            title="Search center"
+            style={place(center)}
+            className="absolute w-4 h-4 -ml-2 -mt-2 rounded-full bg-sky-500 border-2 border-white shadow ring-4 ring-sky-200/60"
+          ></div>
+        )}
+
+        {width > 0 && located.map(restaurant => {
+          const count = voteCounts[restaurant.id] || 0;
+          const isLeading = count > 0 && count === maxVotes;
+          const voted = myVotes.includes(restaurant.id);
+          return (
+            <button
+              key={restaurant.id}
+              type="button"
+              title={restaurant.name}
+              onClick={() => handlePin(restaurant.id)}
+              style={place(restaurant.coordinates)}
+              className={`absolute -translate-x-1/2 -translate-y-full min-w-[2rem] h-8 px-2 rounded-full rounded-bl-none flex items-center justify-center gap-1 text-xs font-black shadow-lg border-2 transition-transform hover:scale-110 ${
+                isLeading ? 'bg-gradient-to-r from-orange-500 to-red-500 text-white border-white z-20' : voted ? 'bg-indigo-600 text-white border-white z-10' : 'bg-white text-gray-700 border-gray-300'
+              } ${voted && isLeading ? 'ring-4 ring-indigo-400' : ''}`}
+            >
+              {isLeading && <Flame size={12} fill="currentColor" />}
+              {voted && !isLeading && <Check size={12} strokeWidth={3} />}
+              {count}
+            </button>
+          );
+        })}
+
+        <div className="absolute top-3 right-3 flex flex-col bg-white rounded-xl shadow border border-gray-200 overflow-hidden z-30">
+          <button type="button" onClick={() => setZoomOffset(zoomOffset + 1)} disabled={zoom >= MAX_ZOOM} className="p-2 hover:bg-gray-50 disabled:opacity-30" aria-label="Zoom in">
+            <Plus size={16} />
+          </button>
+          <button type="button" onClick={() => setZoomOffset(zoomOffset - 1)} disabled={zoom <= MIN_ZOOM} className="p-2 hover:bg-gray-50 border-t border-gray-200 disabled:opacity-30" aria-label="Zoom out">
+            <Minus size={16} />
+          </button>
+        </div>
+
+        {selected && (
+          <div className="absolute bottom-3 left-3 right-3 bg-white/95 backdrop-blur rounded-2xl shadow-lg border border-gray-100 px-4 py-3 flex items-center justify-between z-30">
+            <div className="min-w-0">
+              <p className="font-bold text-gray-900 truncate">{selected.name}</p>
+              <p className="text-xs text-gray-500 truncate">
+                {selected.cuisine}
+                {selected.distance != null && <> · {formatDistance(selected.distance)}</>}
+              </p>
+            </div>
+            <div className="flex items-center gap-2 flex-shrink-0">
+              <span className={`text-xs font-bold px-3 py-1 rounded-full ${myVotes.includes(selected.id) ? 'bg-indigo-100 text-indigo-700' : 'bg-gray-100 text-gray-500'}`}>
+                {myVotes.includes(selected.id) ? 'Your pick' : 'Not picked'}
+              </span>
+              <button type="button" onClick={() => onDetails(selected.id)} className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100" aria-label={`Details for ${selected.name}`}>
+                <Info size={16} />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {MAP_TILE_ATTRIBUTION && tiles.length > 0 && (
+          <span className="absolute bottom-0 right-0 bg-white/80 px-1.5 text-[10px] text-gray-500 z-20">{MAP_TILE_ATTRIBUTION}</span>
+        )}
+      </div>
+      {located.length < candidates.length && (
+        <p className="text-xs text-gray-400 font-medium mt-2 pl-2">
+          {candidates.length - located.length} of {candidates.length} places have no map location and only show in the list.
+        </p>
+      )}
+    </div>
+  );
+}
 
+function Voting({ session, candidates, userId, onVote, onRank, onSwipe, onVeto, onReroll, onReplace, onDeadline, onEnd, endLabel, votes }) {
+  const mode = session.votingMode || DEFAULT_VOTING_MODE;
+  const ranked = isRankedMode(mode);
+  const swipeMode = isSwipeMode(mode);
+  const roundMode = isRoundMode(mode);
+  const isFinalRound = roundMode && candidates.length <= 2;
+
+  const tally = useMemo(() => tallyVotes(mode, candidates, votes), [mode, candidates, votes]);
+  const voteCounts = tally.scores;
   const maxVotes = Math.max(...Object.values(voteCounts), 0);
-  const myVotes = votes.filter(v => v.userId === userId).map(v => v.restaurantId);
+  const totalScore = Object.values(voteCounts).reduce((sum, n) => sum + n, 0);
+  const voterCount = tally.ballots.size;
+
+  const myRanking = tally.ballots.get(userId) || [];
+  const myRankingKey = myRanking.join(',');
+  const [draft, setDraft] = useState(myRanking);
+  const isDirty = draft.join(',') !== myRankingKey;
+
+  useEffect(() => {
+    setDraft(myRankingKey ? myRankingKey.split(',') : []);
+  }, [myRankingKey]);
+
+  const myVotes = ranked ? draft : myRanking;
+  const canMap = !swipeMode && candidates.some(r => isCoordinates(r.coordinates));
+  const [layout, setLayout] = useState('list');
+  const showMap = canMap && layout === 'map';
+  const [detailsId, setDetailsId] = useState(null);
+  const details = candidates.find(r => r.id === detailsId);
+  const mayVeto = canVeto(session, userId);
+  const vetoed = (session.vetoes || []).map(v => ({ ...v, place: (session.candidates || []).find(c => c.id === v.id) }));
+  // Only the host gets the slate handlers; rounds after the first keep theirs.
+  const canChangeSlate = !!onReroll && (!roundMode || (session.round || 1) === 1);
+
+  const [actionError, setActionError] = useState('');
+  const [isChangingSlate, setIsChangingSlate] = useState(false);
+
+  const handleVeto = (restaurant) => {
+    if (!window.confirm(`Veto ${restaurant.name} for everyone? You have ${vetoesLeft(session, userId)} left.`)) return;
+    setActionError('');
+    onVeto(restaurant.id).catch(err => setActionError(err.message));
+  };
+
+  const handleSaveRanking = () => {
+    setActionError('');
+    onRank(draft).catch(err => setActionError(err.message));
+  };
+
+  // The end button floats at the bottom, so its error sits beside it rather
+  // than in the banner up top.
+  const [isEnding, setIsEnding] = useState(false);
+  const [endError, setEndError] = useState('');
+  const handleEnd = () => {
+    setEndError('');
+    setIsEnding(true);
+    onEnd()
+      .catch(err => setEndError(err.message))
+      .finally(() => setIsEnding(false));
+  };
+
+  const changeSlate = (request) => {
+    setActionError('');
+    setIsChangingSlate(true);
+    request()
+      .catch(err => setActionError(err.message))
+      .finally(() => setIsChangingSlate(false));
+  };
+
+  const handleReroll = () => {
+    if (!window.confirm('Swap every place except nominations for new ones? Votes on the old places are cleared.')) return;
+    changeSlate(onReroll);
+  };
+
+  const handleReplace = (restaurant) => {
+    if (!window.confirm(`Replace ${restaurant.name} with a new place? Votes on it are cleared.`)) return;
+    changeSlate(() => onReplace(restaurant.id));
+  };
+  const scoreLabel = mode === 'borda' ? 'pt' : mode === 'ranked' ? 'first choice' : 'vote';
+
+  const handleCardClick = (rid) => {
+    if (!ranked) {
+      onVote(rid);
+      return;
+    }
+    setDraft(draft.includes(rid) ? draft.filter(id => id !== rid) : [...draft, rid]);
+  };
 
   return (
     <div className="w-full max-w-lg mx-auto p-4 pb-32 text-gray-800 bg-gray-50 min-h-screen shadow-2xl">
@@ -477,32 +2135,129 @@ function Voting({ session, candidates, userId, onVote, votes }) {
          <div className="flex items-center justify-between">
             <div>
               <h2 className="text-2xl font-black text-gray-900 flex items-center gap-2">
-                Vote Now
+                {roundMode ? (isFinalRound ? 'Final Head-to-Head' : `Round ${session.round || 1}`) : 'Vote Now'}
               </h2>
-              <p className="text-sm font-medium text-gray-500">Tap to vote for your favorites!</p>
+              <p className="text-sm font-medium text-gray-500">
+                {VOTING_MODES[mode].label} · {swipeMode ? 'Swipe right on places you like!' : ranked ? 'Tap to rank your favorites!' : mode === 'single' ? 'Tap your one favorite!' : 'Tap to vote for your favorites!'}
+              </p>
             </div>
-            <div className="bg-indigo-100 text-indigo-700 px-4 py-2 rounded-full text-sm font-bold shadow-sm border border-indigo-200">
-              {votes.length} vote{votes.length !== 1 && 's'} cast
+            <div className="flex flex-col items-end gap-1">
+              <div className="bg-indigo-100 text-indigo-700 px-4 py-2 rounded-full text-sm font-bold shadow-sm border border-indigo-200">
+                {voterCount} voter{voterCount !== 1 && 's'}
+              </div>
+              {session.vetoesPerPerson > 0 && (
+                <span className="text-[11px] font-bold text-red-500 flex items-center gap-1">
+                  <Ban size={11} /> {vetoesLeft(session, userId)} veto{vetoesLeft(session, userId) === 1 ? '' : 'es'} left
+                </span>
+              )}
             </div>
          </div>
+         {canMap && (
+           <div className="flex bg-gray-100 rounded-xl p-1 mt-3">
+             {[['list', 'List', List], ['map', 'Map', MapIcon]].map(([key, label, Icon]) => (
+               <button
+                 key={key}
+                 onClick={() => setLayout(key)}
+                 className={`flex-1 py-1.5 rounded-lg text-sm font-bold flex items-center justify-center gap-1.5 transition-colors ${
+                   layout === key ? 'bg-white text-indigo-700 shadow-sm' : 'text-gray-500 hover:text-gray-700'
+                 }`}
+               >
+                 <Icon size={14} /> {label}
+               </button>
+             ))}
+           </div>
+         )}
        </div>
 
-       <div className="space-y-6">
+       {ranked && (
+         <RankingBallot
+           candidates={candidates}
+           ranking={draft}
+           onChange={setDraft}
+           onSave={handleSaveRanking}
+           isDirty={isDirty}
+         />
+       )}
+
+       {session.votingDeadline && (
+         <div className="flex justify-center mb-6">
+           <Countdown key={session.round} deadline={session.votingDeadline} label={roundMode ? 'Round ends in' : 'Voting ends in'} onExpire={onDeadline} />
+         </div>
+       )}
+
+       {roundMode && <RoundTransition session={session} />}
+
+       {actionError && (
+         <div className="p-3 mb-6 bg-red-50 border border-red-100 rounded-xl text-red-700 text-sm flex items-start gap-2">
+           <AlertCircle className="flex-shrink-0 mt-0.5" size={16} />
+           <p>{actionError}</p>
+         </div>
+       )}
+
+       {canChangeSlate && (
+         <button
+           onClick={handleReroll}
+           disabled={isChangingSlate}
+           className="w-full mb-6 py-3 rounded-2xl border-2 border-dashed border-indigo-200 text-indigo-600 font-bold text-sm flex items-center justify-center gap-2 hover:bg-indigo-50 disabled:opacity-50"
+         >
+           {isChangingSlate ? <RefreshCw size={16} className="animate-spin" /> : <Shuffle size={16} />} Reroll the slate
+         </button>
+       )}
+
+       <SlateChanges changes={session.slateChanges} userId={userId} />
+
+       {vetoed.length > 0 && (
+         <div className="bg-red-50 border border-red-100 rounded-2xl px-4 py-3 mb-6 text-sm text-red-700">
+           {vetoed.map(v => (
+             <p key={v.id} className="flex items-center gap-2">
+               <Ban size={14} className="flex-shrink-0" />
+               <span><span className="font-bold line-through">{v.place?.name || v.restaurant || 'A place'}</span> vetoed by {v.userId === userId ? 'you' : v.name}</span>
+             </p>
+           ))}
+         </div>
+       )}
+
+       {swipeMode && (
+         <SwipeVoting candidates={candidates} userId={userId} votes={votes} onSwipe={onSwipe} onVeto={mayVeto ? handleVeto : null} />
+       )}
+
+       {showMap && (
+         <CandidateMap
+           candidates={candidates}
+           center={session.center}
+           voteCounts={voteCounts}
+           maxVotes={maxVotes}
+           myVotes={myVotes}
+           onPick={handleCardClick}
+           onDetails={setDetailsId}
+         />
+       )}
+
+       {!swipeMode && !showMap && <div className="space-y-6">
          {candidates.map(restaurant => {
            const count = voteCounts[restaurant.id] || 0;
            const isLeading = count > 0 && count === maxVotes;
            const voted = myVotes.includes(restaurant.id);
+           const position = draft.indexOf(restaurant.id);
 
            return (
              <div 
                 key={restaurant.id}
-                onClick={() => onVote(restaurant.id)}
+                onClick={() => handleCardClick(restaurant.id)}
                 className={`relative bg-white rounded-3xl shadow-sm border-2 overflow-hidden cursor-pointer transition-all duration-300 group ${
                   voted ? 'border-indigo-500 shadow-indigo-100 shadow-xl scale-[1.02]' : 'border-transparent hover:border-gray-200 hover:shadow-md'
                 }`}
              >
                <div className="h-48 w-full relative overflow-hidden">
                  <img src={restaurant.image} alt={restaurant.name} className="w-full h-full object-cover transition-transform duration-700 group-hover:scale-110" />
+
+                 <button
+                   onClick={(e) => { e.stopPropagation(); setDetailsId(restaurant.id); }}
+                   className="absolute top-4 right-4 z-20 bg-white/90 text-gray-700 p-2 rounded-full shadow-lg hover:bg-white"
+                   aria-label={`Details for ${restaurant.name}`}
+                 >
+                   <Info size={18} />
+                 </button>
                  
                  {isLeading && (
                    <div className="absolute top-4 left-4 z-10">
@@ -514,7 +2269,7 @@ function Voting({ session, candidates, userId, onVote, votes }) {
 
                  <div className={`absolute inset-0 bg-indigo-900/40 flex items-center justify-center backdrop-blur-[2px] transition-opacity duration-300 ${voted ? 'opacity-100' : 'opacity-0'}`}>
                    <div className="bg-white text-indigo-600 px-6 py-2.5 rounded-full font-bold shadow-xl flex items-center gap-2 transform scale-110">
-                     <Check size={20} strokeWidth={3} /> Voted
+                     {ranked ? <>#{position + 1} Choice</> : <><Check size={20} strokeWidth={3} /> Voted</>}
                    </div>
                  </div>
                </div>
@@ -528,35 +2283,188 @@ function Voting({ session, candidates, userId, onVote, votes }) {
                  </div>
                  
                  <div className="flex items-center gap-2 text-sm text-gray-500 mb-4 font-medium">
-                   <span className="text-green-600">{restaurant.price}</span>
-                   <span className="text-gray-300">•</span>
+                   {restaurant.price && <>
+                     <span className="text-green-600">{restaurant.price}</span>
+                     <span className="text-gray-300">•</span>
+                   </>}
                    <span className="truncate">{restaurant.cuisine}</span>
                  </div>
 
+                 <OpenBadge restaurant={restaurant} openAt={session.openAt} />
+                 {restaurant.nominatedBy?.length > 0 && (
+                   <div className="inline-flex items-center gap-1 text-xs font-bold px-2.5 py-1 rounded-full mb-3 mr-2 bg-purple-100 text-purple-700">
+                     <Plus size={12} /> Nominated by {restaurant.nominatedBy.join(', ')}
+                   </div>
+                 )}
+                 {restaurant.matches?.total > 0 && (
+                   <div className={`inline-flex items-center gap-1 text-xs font-bold px-2.5 py-1 rounded-full mb-3 ${
+                     restaurant.matches.count === restaurant.matches.total ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'
+                   }`}>
+                     <Users size={12} /> Matches {restaurant.matches.count}/{restaurant.matches.total} people
+                   </div>
+                 )}
+                 {restaurant.groupRating && (
+                   <div className="inline-flex items-center gap-1 text-xs font-bold px-2.5 py-1 rounded-full mb-3 ml-2 bg-yellow-50 text-yellow-700">
+                     <Star size={12} fill="currentColor" /> Your group: {restaurant.groupRating.average}
+                   </div>
+                 )}
+                 {restaurant.lastWonAt && (
+                   <div className="inline-flex items-center gap-1 text-xs font-bold px-2.5 py-1 rounded-full mb-3 ml-2 bg-amber-50 text-amber-700">
+                     <Trophy size={12} /> {daysAgo(restaurant.lastWonAt, serverNow()) === 0 ? 'Won today' : `Won ${daysAgo(restaurant.lastWonAt, serverNow())}d ago`}
+                   </div>
+                 )}
+
                  <div className="flex items-center gap-2 text-xs text-gray-400 mb-4">
                    <MapPin size={14} className="flex-shrink-0" />
                    <span className="truncate">{restaurant.address}</span>
+                   {restaurant.distance != null && (
+                     <span className="flex-shrink-0 font-bold text-gray-500">· {formatDistance(restaurant.distance)}</span>
+                   )}
                  </div>
                  
                  <div className="w-full bg-gray-100 h-2 rounded-full overflow-hidden">
                     <div 
                         className="h-full bg-indigo-500 transition-all duration-500 ease-out"
-                        style={{ width: `${(count / (votes.length || 1)) * 100}%` }}
+                        style={{ width: `${(count / (totalScore || 1)) * 100}%` }}
                     ></div>
                  </div>
-                 <div className="mt-2 flex justify-end">
-                    <span className="text-xs font-bold text-gray-400">{count} vote{count !== 1 && 's'}</span>
+                 <div className="mt-2 flex items-center justify-between">
+                    <div className="flex items-center gap-3">
+                      {mayVeto && (
+                        <button
+                          onClick={(e) => { e.stopPropagation(); handleVeto(restaurant); }}
+                          className="text-xs font-bold text-red-500 hover:text-red-700 flex items-center gap-1"
+                        >
+                          <Ban size={12} /> Veto
+                        </button>
+                      )}
+                      {canChangeSlate && (
+                        <button
+                          onClick={(e) => { e.stopPropagation(); handleReplace(restaurant); }}
+                          disabled={isChangingSlate}
+                          className="text-xs font-bold text-indigo-500 hover:text-indigo-700 flex items-center gap-1 disabled:opacity-50"
+                        >
+                          <RefreshCw size={12} /> Replace
+                        </button>
+                      )}
+                    </div>
+                    <span className="text-xs font-bold text-gray-400">{count} {scoreLabel}{count !== 1 && 's'}</span>
                  </div>
                </div>
              </div>
            );
          })}
-       </div>
+       </div>}
+
+       {details && (
+         <CandidateDetails
+           restaurant={details}
+           session={session}
+           voted={myVotes.includes(details.id)}
+           voteLabel={myVotes.includes(details.id)
+             ? (ranked ? 'Remove from my ranking' : 'Remove my vote')
+             : (ranked ? 'Add to my ranking' : 'Vote for this place')}
+           onVote={() => handleCardClick(details.id)}
+           onClose={() => setDetailsId(null)}
+         />
+       )}
+
+       {onEnd && (
+         <div className="fixed bottom-6 left-0 right-0 flex flex-col items-center gap-2 z-50 pointer-events-none px-4">
+           {endError && (
+             <div className="pointer-events-auto max-w-sm p-3 bg-red-50 border border-red-100 rounded-xl text-red-700 text-sm flex items-start gap-2 shadow-lg">
+               <AlertCircle className="flex-shrink-0 mt-0.5" size={16} />
+               <p>{endError}</p>
+             </div>
+           )}
+           <button
+             onClick={handleEnd}
+             disabled={isEnding}
+             className="pointer-events-auto bg-gray-900 text-white font-bold py-4 px-10 rounded-full shadow-2xl hover:scale-105 transform transition-all flex items-center gap-3 border border-gray-700 disabled:opacity-70 disabled:hover:scale-100"
+           >
+             {isEnding ? <RefreshCw size={18} className="animate-spin text-yellow-400" /> : <Trophy size={18} className="text-yellow-400" />}
+             {endLabel}
+           </button>
+         </div>
+       )}
+    </div>
+  );
+}
+
+function ResultBreakdown({ session, participants }) {
+  const result = session.result;
+  if (!result) return null;
+
+  const candidates = session.candidates || [];
+  const nameOf = (rid) => candidates.find(c => c.id === rid)?.name || 'Unknown';
+  const voterName = (uid) => participants.find(p => p.userId === uid)?.name || 'Someone who left';
+  const ranked = isRankedMode(result.mode);
+  const unit = result.mode === 'borda' ? 'pts' : result.mode === 'ranked' ? 'first choices' : 'votes';
+
+  const vetoedIds = new Set((session.vetoes || []).map(v => v.id));
+  const standings = candidates.filter(c => !vetoedIds.has(c.id)).sort((a, b) => (result.scores[b.id] || 0) - (result.scores[a.id] || 0));
+  const ballots = Object.entries(result.ballots || {});
+  const { tieBreak } = result;
+
+  return (
+    <div className="bg-white/10 backdrop-blur rounded-[2rem] p-6 mx-4 text-left border border-white/10">
+      <h3 className="text-lg font-bold mb-1">How the winner was chosen</h3>
+      <p className="text-sm text-white/70 mb-4">
+        {VOTING_MODES[result.mode]?.label} voting. {TIE_BREAK_RULES[tieBreak.rule]}
+      </p>
+      {tieBreak.tied.length > 0 && (
+        <p className="text-xs text-white/60 mb-4">
+          Tied: {tieBreak.tied.map(nameOf).join(', ')}
+          {tieBreak.seed && <> · Draw seed <span className="font-mono text-yellow-300">{tieBreak.seed}</span></>}
+        </p>
+      )}
+      {session.vetoes?.length > 0 && (
+        <p className="text-xs text-white/60 mb-4">
+          Vetoed: {session.vetoes.map(v => `${v.restaurant || nameOf(v.id)} (by ${v.name})`).join(', ')}
+        </p>
+      )}
+
+      <h4 className="text-xs font-bold uppercase tracking-widest text-white/50 mb-2">Final Tally</h4>
+      <ul className="space-y-1.5 mb-5">
+        {standings.map(c => (
+          <li key={c.id} className={`flex justify-between text-sm ${c.id === session.winner.id ? 'text-yellow-300 font-bold' : 'text-white/80'}`}>
+            <span className="truncate pr-4">{c.name}</span>
+            <span className="flex-shrink-0">{result.scores[c.id] || 0} {unit}</span>
+          </li>
+        ))}
+      </ul>
+
+      {result.rounds.some(round => round.eliminated.length > 0) && (
+        <>
+          <h4 className="text-xs font-bold uppercase tracking-widest text-white/50 mb-2">{result.mode === 'ranked' ? 'Runoff Rounds' : 'Elimination Rounds'}</h4>
+          <ol className="space-y-1 mb-5 text-xs text-white/70">
+            {result.rounds.map((round, i) => (
+              <li key={i}>
+                Round {i + 1}: {round.eliminated.length > 0 ? `eliminated ${round.eliminated.map(nameOf).join(', ')}` : 'decided'}
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+
+      <h4 className="text-xs font-bold uppercase tracking-widest text-white/50 mb-2">Who Voted For What</h4>
+      {ballots.length === 0 ? (
+        <p className="text-sm text-white/60 italic">Nobody voted.</p>
+      ) : (
+        <ul className="space-y-2">
+          {ballots.map(([uid, picks]) => (
+            <li key={uid} className="text-sm">
+              <span className="font-bold">{voterName(uid)}</span>
+              <span className="text-white/70">: {picks.map((rid, i) => ranked ? `${i + 1}. ${nameOf(rid)}` : nameOf(rid)).join(ranked ? '  ' : ', ')}</span>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
 
-function Winner({ winner, onReset }) {
+function Winner({ winner, session, participants, onReset }) {
   useEffect(() => {
     triggerConfetti();
   }, []);
@@ -573,7 +2481,7 @@ function Winner({ winner, onReset }) {
           </div>
         </div>
         <h1 className="text-5xl font-black mb-10 text-transparent bg-clip-text bg-gradient-to-r from-yellow-200 via-white to-yellow-200 drop-shadow-sm">
-          We have a winner!
+          {session.result?.finishedBy === 'match' ? "It's a match!" : 'We have a winner!'}
         </h1>
 
         <div className="bg-white rounded-[2rem] overflow-hidden shadow-2xl transform rotate-1 hover:rotate-0 transition-transform duration-500 text-gray-800 mb-8 mx-4">
@@ -588,8 +2496,10 @@ function Winner({ winner, onReset }) {
                    </span>
                    <span>•</span>
                    <span>{winner.cuisine}</span>
-                   <span>•</span>
-                   <span className="text-green-400">{winner.price}</span>
+                   {winner.price && <>
+                     <span>•</span>
+                     <span className="text-green-400">{winner.price}</span>
+                   </>}
                 </div>
              </div>
           </div>
@@ -612,6 +2522,16 @@ function Winner({ winner, onReset }) {
             >
               View on Google Maps
             </a>
+            {winner.url && (
+              <a
+                href={winner.url}
+                target="_blank"
+                rel="noreferrer"
+                className="flex items-center justify-center gap-2 w-full bg-red-50 text-red-600 text-center font-bold py-4 rounded-xl hover:bg-red-100 transition-colors mb-4"
+              >
+                <ExternalLink size={18} /> {session.provider === 'yelp' ? 'View on Yelp' : 'Visit website'}
+              </a>
+            )}
             <button 
               onClick={onReset}
               className="block w-full bg-purple-50 text-purple-600 text-center font-bold py-4 rounded-xl hover:bg-purple-100 transition-colors"
@@ -620,6 +2540,8 @@ function Winner({ winner, onReset }) {
             </button>
           </div>
         </div>
+
+        <ResultBreakdown session={session} participants={participants} />
       </div>
     </div>
   );
@@ -647,135 +2569,520 @@ function LoadingSpinner({ message, isMock }) {
   );
 }
 
+/* -------------------------------------------------------------------------- */
+/* HISTORY                                                                    */
+/* -------------------------------------------------------------------------- */
+
+// One past (or running) session; finished ones expand into the breakdown.
+function HistoryEntry({ session, participants, subtitle, action }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const canExpand = !!session.result && !!session.winner;
+
+  return (
+    <div className="bg-white rounded-2xl border border-gray-100 overflow-hidden">
+      <div className="p-3 flex items-center justify-between gap-3">
+        <button onClick={() => canExpand && setIsOpen(!isOpen)} className="min-w-0 text-left flex-1">
+          <p className="text-xs text-gray-400 font-medium truncate">
+            {formatDay(session.finishedAt || session.createdAt)} · {subtitle || `${participants.length} people`}
+          </p>
+          <p className="font-bold text-gray-900 truncate">
+            {session.winner ? session.winner.name : session.status === 'finished' ? 'No winner' : 'In progress'}
+          </p>
+        </button>
+        {action || (canExpand && (
+          <button onClick={() => setIsOpen(!isOpen)} className="text-gray-400 hover:text-gray-600 flex-shrink-0">
+            {isOpen ? <ChevronUp size={18} /> : <ChevronDown size={18} />}
+          </button>
+        ))}
+      </div>
+      {isOpen && (
+        <div className="bg-gradient-to-br from-indigo-900 via-purple-900 to-slate-900 text-white py-4">
+          <ResultBreakdown session={session} participants={participants} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function HistoryView({ entries, crews, onBack }) {
+  const crewName = (id) => crews.find(c => c.id === id)?.name;
+
+  return (
+    <div className="w-full max-w-lg mx-auto p-4 pb-16 text-gray-800 bg-gray-50 min-h-screen shadow-2xl">
+      <button onClick={onBack} className="text-sm font-bold text-gray-400 hover:text-gray-600 mb-4">← Back</button>
+      <h2 className="text-2xl font-bold text-gray-900 mb-6 pl-2">Past Decisions</h2>
+      {entries === null ? (
+        <p className="text-sm text-gray-400 pl-2 flex items-center gap-2"><RefreshCw size={14} className="animate-spin" /> Loading...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-400 pl-2">Nothing yet. Finished sessions you took part in will show up here.</p>
+      ) : (
+        <div className="space-y-2">
+          {entries.map(entry => (
+            <HistoryEntry
+              key={entry.id}
+              session={{ ...entry, status: 'finished' }}
+              participants={entry.participants}
+              subtitle={[entry.location, crewName(entry.crewId)].filter(Boolean).join(' · ')}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* -------------------------------------------------------------------------- */
+/* MEAL RATINGS                                                               */
+/* -------------------------------------------------------------------------- */
+
+function RatingPrompt({ pending, onRate, onClose }) {
+  const [stars, setStars] = useState(0);
+  const [tags, setTags] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const { winner } = pending;
+
+  const submit = async (rating) => {
+    setIsSaving(true);
+    try {
+      await onRate({ sessionId: pending.sessionId, ...rating });
+    } finally {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-end sm:items-center justify-center p-4">
+      <div className="w-full max-w-md bg-white rounded-3xl overflow-hidden shadow-2xl text-gray-800">
+        <div className="h-32 relative">
+          <img src={winner.image} alt={winner.name} className="w-full h-full object-cover" />
+          <div className="absolute inset-0 bg-gradient-to-t from-black/80 to-transparent"></div>
+          <div className="absolute bottom-0 inset-x-0 p-4">
+            <p className="text-xs text-white/70 font-medium">{formatDay(pending.finishedAt)} · {pending.location}</p>
+            <h2 className="text-2xl font-bold text-white leading-tight">How was {winner.name}?</h2>
+          </div>
+          <button onClick={onClose} className="absolute top-3 right-3 text-white/80 hover:text-white"><X size={20} /></button>
+        </div>
+        <div className="p-6">
+          <div className="flex justify-center gap-2 mb-5">
+            {Array.from({ length: MAX_STARS }, (_, i) => i + 1).map(n => (
+              <button key={n} type="button" onClick={() => setStars(n)} aria-label={`${n} stars`}>
+                <Star size={36} className={n <= stars ? 'text-yellow-400' : 'text-gray-200'} fill="currentColor" />
+              </button>
+            ))}
+          </div>
+          <div className="flex flex-wrap justify-center gap-2 mb-6">
+            {RATING_TAGS.map(tag => (
+              <ToggleChip key={tag} active={tags.includes(tag)} onClick={() => setTags(toggleIn(tags, tag))}>
+                {tag}
+              </ToggleChip>
+            ))}
+          </div>
+          <button
+            onClick={() => submit({ stars, tags })}
+            disabled={!stars || isSaving}
+            className="w-full bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-bold py-3.5 rounded-xl shadow-lg disabled:opacity-50 transition-all mb-2"
+          >
+            Save Rating
+          </button>
+          <button
+            onClick={() => submit({ skipped: true })}
+            disabled={isSaving}
+            className="w-full text-sm font-bold text-gray-400 hover:text-gray-600 py-2"
+          >
+            We didn't end up going
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 /* -------------------------------------------------------------------------- */
 /* MAIN APP                                    */
 /* -------------------------------------------------------------------------- */
 
+// Session routes render these views once the guards agree with the URL.
+const ROUTE_VIEWS = {
+  lobby: 'lobby',
+  vote: 'voting',
+  result: 'winner'
+};
+
+const currentRoute = () => parseRoute(window.location.pathname, window.location.search);
+
 export default function App() {
   const [user, setUser] = useState(null);
-  const [view, setView] = useState('landing'); 
-  const [sessionId, setSessionId] = useState(null);
-  const [sessionData, setSessionData] = useState(null);
-  const [participants, setParticipants] = useState([]);
-  const [votes, setVotes] = useState([]);
+  const [route, setRoute] = useState(currentRoute);
   const [loadingMsg, setLoadingMsg] = useState('');
   const [isStarting, setIsStarting] = useState(false);
   const [usingMock, setUsingMock] = useState(false);
+  const [removalNotice, setRemovalNotice] = useState('');
+  const [account, setAccount] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [showProfile, setShowProfile] = useState(false);
+  const [crews, setCrews] = useState([]);
+  const [crewData, setCrewData] = useState(null);
+  const [crewSessions, setCrewSessions] = useState([]);
+  const [crewParticipants, setCrewParticipants] = useState([]);
+  const [dismissedCrewSessions, setDismissedCrewSessions] = useState([]);
+  const [history, setHistory] = useState(null);
+  const [pendingRating, setPendingRating] = useState(null);
+  const [expiredSessionId, setExpiredSessionId] = useState(null);
+  // The session we were last seen in, to tell being removed from joining late.
+  const joinedSessionId = useRef(null);
+  const lastSession = useRef(null);
+
+  const sessionId = route.sessionId || null;
+  const crewId = route.crewId || null;
+
+  const sessionClient = useMemo(
+    () => (user ? createSessionClient(createFirestoreRepository({ db, appId, user })) : null),
+    [user]
+  );
+  // Only members can read a session, so everything else waits for our own
+  // participant doc; joining (or rejoining on another visit) opens it up.
+  const membership = useParticipant(sessionClient, sessionId, user?.uid);
+  const memberOf = membership ? sessionId : null;
+  const sessionData = useSession(sessionClient, memberOf);
+  const participants = useParticipants(sessionClient, memberOf);
+  const votes = useVotes(sessionClient, memberOf);
+
+  // Route guards: who may see which phase is decided by membership and the
+  // session's status, not by the URL alone.
+  const view = (() => {
+    if (!sessionId) return route.name;
+    if (expiredSessionId === sessionId) return 'expired';
+    if (membership === undefined) return 'loading';
+    if (!membership) return 'join';
+    if (sessionData === undefined) return 'loading';
+    if (!sessionData || isSessionExpired(sessionData)) return 'expired';
+    if (isStarting) return 'loading';
+    return ROUTE_VIEWS[STATUS_ROUTES[sessionData.status]] || 'loading';
+  })();
+
+  const navigate = (path, { replace = false } = {}) => {
+    window.history[replace ? 'replaceState' : 'pushState']({}, '', path);
+    setRoute(currentRoute());
+  };
 
-  useEffect(() => {
-    const initAuth = async () => {
-      await signInAnonymously(auth);
-    };
-    initAuth();
+  const roundVotes = useMemo(
+    () => (sessionData ? currentRoundVotes(sessionData, votes) : votes),
+    [sessionData, votes]
+  );
+  const isRoundToEnd = !!sessionData && isRoundMode(sessionData.votingMode) && activeCandidates(sessionData).length > 2;
 
-    const unsubscribe = onAuthStateChanged(auth, (u) => {
+  useEffect(() => {
+    // Only fall back to a fresh anonymous uid when nothing was persisted, so a
+    // returning visitor keeps their identity. Token changes also cover an
+    // anonymous account being upgraded in place.
+    const unsubscribe = onIdTokenChanged(auth, (u) => {
+      if (!u) {
+        signInAnonymously(auth).catch(e => console.error("Anonymous sign-in failed", e));
+        return;
+      }
       setUser(u);
+      setAccount({ isAnonymous: u.isAnonymous, email: u.email });
     });
 
-    const params = new URLSearchParams(window.location.search);
-    const sid = params.get('session');
-    if (sid) {
-      setSessionId(sid);
-      setView('join');
+    // Old `?session=` and `?crew=` links move to their routes, keeping any
+    // other parameters (such as an email sign-in link's).
+    const url = new URL(window.location.href);
+    ['session', 'crew'].forEach(k => url.searchParams.delete(k));
+    url.pathname = routePath(currentRoute());
+    if (url.href !== window.location.href) {
+      window.history.replaceState({}, '', url.href);
     }
 
-    return () => unsubscribe();
+    const onPopState = () => setRoute(currentRoute());
+    window.addEventListener('popstate', onPopState);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('popstate', onPopState);
+    };
   }, []);
 
   useEffect(() => {
-    if (!sessionId || !user) return;
+    if (!user || !isSignInWithEmailLink(auth, window.location.href)) return;
+    completeEmailSignIn().catch(e => console.error("Email sign-in failed", e));
+  }, [user]);
 
-    const unsubSession = onSnapshot(doc(db, 'artifacts', appId, 'public', 'data', 'sessions', sessionId), (docSnap) => {
-      if (docSnap.exists()) {
-        const data = docSnap.data();
-        setSessionData({ id: sessionId, ...data });
-        
-        if (data.status === 'voting' && view !== 'voting') {
-          setView('voting');
-        } else if (data.status === 'finished' && view !== 'winner') {
-          setView('winner');
-        }
-      }
+  useEffect(() => {
+    if (!user) return;
+
+    return onSnapshot(doc(db, 'artifacts', appId, 'users', user.uid, 'profile', 'main'), (snap) => {
+      setProfile(snap.exists() ? snap.data() : null);
     }, (err) => console.error(err));
+  }, [user]);
 
-    const qParticipants = query(
-      collection(db, 'artifacts', appId, 'public', 'data', 'participants'),
-      where('sessionId', '==', sessionId)
+  // Asked once per app load, so the prompt greets people the next time they
+  // open PickIt rather than interrupting the winner screen.
+  useEffect(() => {
+    if (!user) return;
+
+    callApi(user, '/api/ratings/pending', { method: 'GET' })
+      .then(({ pending }) => setPendingRating(pending))
+      .catch(e => console.error("Error checking for meals to rate", e));
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return;
+
+    const qCrews = query(
+      publicCollection(db, appId, 'crews'),
+      where('memberIds', 'array-contains', user.uid)
     );
-    const unsubParticipants = onSnapshot(qParticipants, (snap) => {
-      const parts = snap.docs.map(d => d.data());
-      setParticipants(parts);
+    return onSnapshot(qCrews, (snap) => {
+      setCrews(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (err) => console.error(err));
+  }, [user]);
+
+  useEffect(() => {
+    if (!crewId || !user) return;
+
+    const unsubCrew = onSnapshot(doc(publicCollection(db, appId, 'crews'), crewId), (docSnap) => {
+      setCrewData(docSnap.exists() ? { id: crewId, ...docSnap.data() } : null);
+    }, (err) => console.error(err));
+
+    const qSessions = query(
+      publicCollection(db, appId, 'sessions'),
+      where('crewId', '==', crewId)
+    );
+    const unsubSessions = onSnapshot(qSessions, (snap) => {
+      setCrewSessions(snap.docs.map(d => ({ id: d.id, ...d.data() })));
     }, (err) => console.error(err));
 
-    const qVotes = query(
-      collection(db, 'artifacts', appId, 'public', 'data', 'votes'),
-      where('sessionId', '==', sessionId)
+    const qParticipants = query(
+      publicCollection(db, appId, 'participants'),
+      where('crewId', '==', crewId)
     );
-    const unsubVotes = onSnapshot(qVotes, (snap) => {
-      const v = snap.docs.map(d => d.data());
-      setVotes(v);
+    const unsubParticipants = onSnapshot(qParticipants, (snap) => {
+      setCrewParticipants(snap.docs.map(d => d.data()));
     }, (err) => console.error(err));
 
     return () => {
-      unsubSession();
+      unsubCrew();
+      unsubSessions();
       unsubParticipants();
-      unsubVotes();
+    };
+  }, [crewId, user]);
+
+  useEffect(() => {
+    if (sessionData) lastSession.current = sessionData;
+    if (sessionData && sessionData.status !== 'open') setIsStarting(false);
+  }, [sessionData]);
+
+  // Keeps the URL on the phase the session is in: non-members go to join,
+  // members skip it, and everyone follows the session into voting and the
+  // result whoever moved it there. Losing our participant doc mid-session
+  // means a moderator removed us, or the cleanup job got to an expired session.
+  useEffect(() => {
+    if (!sessionId || expiredSessionId === sessionId || membership === undefined) return;
+
+    if (!membership) {
+      if (joinedSessionId.current === sessionId) {
+        joinedSessionId.current = null;
+        const last = lastSession.current?.id === sessionId ? lastSession.current : null;
+        if (isSessionExpired(last)) {
+          setExpiredSessionId(sessionId);
+          return;
+        }
+        const banned = (last?.bannedIds || []).includes(user.uid);
+        setRemovalNotice(banned ? 'You were removed from the session and cannot rejoin.' : 'You were removed from the session.');
+        resetApp();
+      } else if (route.name !== 'join') {
+        navigate(sessionPath(sessionId, 'join'), { replace: true });
+      }
+      return;
+    }
+
+    joinedSessionId.current = sessionId;
+    const target = sessionData && !isSessionExpired(sessionData) ? STATUS_ROUTES[sessionData.status] : null;
+    if (target && route.name !== target) {
+      navigate(sessionPath(sessionId, target), { replace: true });
+    }
+  }, [sessionId, membership, sessionData, route.name, expiredSessionId]);
+
+  // Deep links and the back button can land on history without a click.
+  useEffect(() => {
+    if (!user || route.name !== 'history') return;
+    setHistory(null);
+
+    callApi(user, '/api/history', { method: 'GET' })
+      .then(setHistory)
+      .catch(e => {
+        console.error("Error loading history", e);
+        setHistory([]);
+      });
+  }, [user, route.name]);
+
+  // Heartbeats mark us present and let the server hand off a vanished host.
+  useEffect(() => {
+    if (!sessionId || !user || !['lobby', 'voting'].includes(view)) return;
+
+    const beat = () => callSessionApi(user, `/${sessionId}/heartbeat`, {
+      body: { away: document.visibilityState === 'hidden' }
+    }).catch(e => console.error("Heartbeat failed", e));
+    const leave = () => callSessionApi(user, `/${sessionId}/leave`, { keepalive: true })
+      .catch(() => {});
+
+    beat();
+    const timer = setInterval(beat, HEARTBEAT_MS);
+    document.addEventListener('visibilitychange', beat);
+    window.addEventListener('pagehide', leave);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', beat);
+      window.removeEventListener('pagehide', leave);
     };
   }, [sessionId, user, view]);
 
-  const createSession = async (hostName, location) => {
+  const sendEmailLink = async (email) => {
+    await sendSignInLinkToEmail(auth, email, { url: window.location.href, handleCodeInApp: true });
+    window.localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+  };
+
+  // Links the email to the current anonymous uid so sessions and profile carry
+  // over. If the email already has an account (another device got there
+  // first), sign in to that one instead.
+  const completeEmailSignIn = async () => {
+    const link = window.location.href;
+    const email = window.localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY)
+      || window.prompt('Confirm your email to finish signing in');
+
+    const url = new URL(link);
+    ['apiKey', 'oobCode', 'mode', 'lang', 'continueUrl'].forEach(k => url.searchParams.delete(k));
+    window.history.replaceState({ path: url.href }, '', url.href);
+    if (!email) return;
+
+    if (user.isAnonymous) {
+      try {
+        await linkWithCredential(user, EmailAuthProvider.credentialWithLink(email, link));
+      } catch (e) {
+        if (e.code !== 'auth/credential-already-in-use' && e.code !== 'auth/email-already-in-use') throw e;
+        await signInWithEmailLink(auth, email, link);
+      }
+    } else {
+      await signInWithEmailLink(auth, email, link);
+    }
+    window.localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+  };
+
+  const saveProfile = async (values) => {
     if (!user) return;
-    const newSessionId = generateSessionId();
-    
-    await setDoc(doc(db, 'artifacts', appId, 'public', 'data', 'sessions', newSessionId), {
-      hostId: user.uid,
-      location: location,
-      status: 'open',
-      createdAt: serverTimestamp(),
-      candidates: []
+
+    await callProfileApi(user, { method: 'PUT', body: values });
+  };
+
+  const rateMeal = async (rating) => {
+    if (!user) return;
+
+    try {
+      await callApi(user, '/api/ratings', { method: 'PUT', body: rating });
+    } catch (e) {
+      console.error("Error saving rating", e);
+    }
+  };
+
+  const openHistory = () => navigate(HISTORY_PATH);
+
+  const openCrew = (cid) => navigate(crewPath(cid));
+
+  // The route guard moves members on from join to wherever the session is.
+  const openSessionLink = (sid) => navigate(sessionPath(sid, 'join'));
+
+  const createCrew = async (values) => {
+    if (!user) return;
+    const { crewId: newCrewId } = await callCrewApi(user, '', {
+      body: { ...values, memberName: profile?.displayName }
     });
+    openCrew(newCrewId);
+  };
+
+  const joinCrew = async (cid, memberName) => {
+    if (!user) return;
+
+    try {
+      await callCrewApi(user, `/${cid}/join`, { body: { name: memberName } });
+    } catch (e) {
+      console.error("Error joining crew", e);
+    }
+  };
+
+  const leaveCrew = async (cid) => {
+    if (!user || !window.confirm('Leave this crew?')) return;
+
+    try {
+      await callCrewApi(user, `/${cid}/leave`);
+      resetApp();
+    } catch (e) {
+      console.error("Error leaving crew", e);
+    }
+  };
+
+  const updateCrew = async (cid, values) => {
+    if (!user) return;
 
-    await setDoc(doc(db, 'artifacts', appId, 'public', 'data', 'participants', `${newSessionId}_${user.uid}`), {
-      sessionId: newSessionId,
-      userId: user.uid,
-      name: hostName,
-      preference: '',
-      isHost: true
+    await callCrewApi(user, `/${cid}`, { method: 'PATCH', body: values });
+  };
+
+  // Whoever starts today's session hosts it; everyone else gets the banner.
+  const startCrewSession = async (cid) => {
+    if (!user) return;
+
+    try {
+      const { sessionId: sid, created } = await callCrewApi(user, `/${cid}/sessions`);
+      navigate(sessionPath(sid, created ? 'lobby' : 'join'));
+    } catch (e) {
+      console.error("Error starting crew session", e);
+    }
+  };
+
+  const createSession = async (hostName, location, votingMode, customList, settings) => {
+    if (!user) return;
+    const { sessionId: newSessionId } = await sessionClient.createSession({
+      name: hostName, location, votingMode, customList, ...settings
     });
 
-    setSessionId(newSessionId);
-    setView('lobby');
-    
-    const newUrl = window.location.protocol + "//" + window.location.host + window.location.pathname + '?session=' + newSessionId;
-    window.history.pushState({path:newUrl},'',newUrl);
+    navigate(sessionPath(newSessionId, 'lobby'));
   };
 
+  // Place search needs a signed-in user; until then there are no suggestions.
+  const searchPlaces = useCallback(
+    (q) => (user ? callApi(user, `/api/places?q=${encodeURIComponent(q)}`, { method: 'GET' }) : Promise.resolve({ places: [] })),
+    [user]
+  );
+
   const joinSession = async (participantName, sid) => {
     if (!user) return;
-    
-    await setDoc(doc(db, 'artifacts', appId, 'public', 'data', 'participants', `${sid}_${user.uid}`), {
-      sessionId: sid,
-      userId: user.uid,
-      name: participantName,
-      preference: '',
-      isHost: false
-    });
 
-    setView('lobby');
+    try {
+      await sessionClient.joinSession(sid, participantName);
+    } catch (e) {
+      // Non-members cannot read the session, so an expired or deleted one
+      // only shows up here.
+      if (e.status === 404 || e.status === 410) {
+        setExpiredSessionId(sid);
+        return;
+      }
+      throw e;
+    }
   };
 
-  const submitPreference = async (prefText) => {
+  const submitPreference = async (prefText, dismissed = []) => {
     if (!user || !sessionId) return;
     
-    const currentPart = participants.find(p => p.userId === user.uid);
-    
-    await setDoc(doc(db, 'artifacts', appId, 'public', 'data', 'participants', `${sessionId}_${user.uid}`), {
-      sessionId,
-      userId: user.uid,
-      name: currentPart?.name || 'User',
-      preference: prefText,
-      isHost: currentPart?.isHost || false
-    }, { merge: true });
+    await sessionClient.submitPreference(sessionId, prefText, dismissed);
+  };
+
+  const setTyping = async (typing) => {
+    if (!user || !sessionId) return;
+
+    try {
+      await callSessionApi(user, `/${sessionId}/typing`, { method: 'PUT', body: { typing } });
+    } catch (e) {
+      console.error("Error updating typing state", e);
+    }
   };
 
   const startVoting = async () => {
@@ -783,129 +3090,262 @@ export default function App() {
     setIsStarting(true);
     
     setLoadingMsg('Consulting the Yelp gods...');
-    setView('loading');
 
-    const allPrefs = participants
-      .map(p => p.preference)
-      .filter(p => p && p.trim().length > 0)
-      .join(' ');
-    
-    let selected = await fetchYelpRestaurants(sessionData.location, allPrefs);
+    // On success the spinner stays up until the snapshot shows voting.
+    try {
+      const { provider } = await sessionClient.startVoting(sessionId);
+      setUsingMock(provider === 'fixture');
+    } catch (error) {
+      console.error("Failed to start voting:", error);
+      setIsStarting(false);
+    }
+  };
 
-    if (!selected || selected.length === 0) {
-      setUsingMock(true);
-      const shuffled = [...MOCK_RESTAURANTS].sort(() => 0.5 - Math.random());
-      selected = shuffled.slice(0, 5);
-      await new Promise(r => setTimeout(r, 2000));
-    } else {
-      setUsingMock(false);
+  const castVote = async (rid) => {
+    if (!user || !sessionId) return;
+
+    try {
+      await sessionClient.toggleVote(sessionId, user.uid, rid, roundVotes);
+    } catch (e) {
+      console.error("Error updating vote", e);
     }
+  };
 
-    await updateDoc(doc(db, 'artifacts', appId, 'public', 'data', 'sessions', sessionId), {
-      status: 'voting',
-      candidates: selected
-    });
+  const submitRanking = async (ranking) => {
+    if (!user || !sessionId) return;
     
-    setIsStarting(false);
+    await callSessionApi(user, `/${sessionId}/ranking`, {
+      method: 'PUT',
+      body: { ranking }
+    });
   };
 
-  const endVoting = async () => {
-    if (!user || !sessionId || !sessionData) return;
+  const swipeCandidate = async (rid, choice) => {
+    if (!user || !sessionId) return;
 
-    const counts = {};
-    votes.forEach(v => {
-      counts[v.restaurantId] = (counts[v.restaurantId] || 0) + 1;
-    });
-    
-    let winnerId = null;
-    let maxV = -1;
-    
-    if (votes.length === 0) {
-       winnerId = sessionData.candidates[0].id;
-    } else {
-       Object.entries(counts).forEach(([rid, count]) => {
-         if (count > maxV) {
-           maxV = count;
-           winnerId = rid;
-         }
-       });
-       if (!winnerId) winnerId = sessionData.candidates[0].id;
+    try {
+      await callSessionApi(user, `/${sessionId}/swipes/${encodeURIComponent(rid)}`, {
+        method: 'PUT',
+        body: { choice }
+      });
+      return true;
+    } catch (e) {
+      console.error("Error recording swipe", e);
+      return false;
+    }
+  };
+
+  const searchRestaurants = async (q) => {
+    const { results } = await callSessionApi(user, `/${sessionId}/search?q=${encodeURIComponent(q)}`, { method: 'GET' });
+    return results;
+  };
+
+  const nominate = (candidate) =>
+    callSessionApi(user, `/${sessionId}/nominations`, { body: { candidate } });
+
+  const withdrawNomination = (rid) =>
+    callSessionApi(user, `/${sessionId}/nominations/${encodeURIComponent(rid)}`, { method: 'DELETE' });
+
+  const vetoCandidate = (rid) =>
+    callSessionApi(user, `/${sessionId}/vetoes/${encodeURIComponent(rid)}`);
+
+  const rerollSlate = () =>
+    callSessionApi(user, `/${sessionId}/slate/reroll`);
+
+  const replaceCandidate = (rid) =>
+    callSessionApi(user, `/${sessionId}/candidates/${encodeURIComponent(rid)}/replace`);
+
+  const enforceDeadline = async () => {
+    if (!user || !sessionId) return;
+
+    try {
+      await callSessionApi(user, `/${sessionId}/deadline`);
+    } catch (e) {
+      console.error("Error enforcing deadline", e);
     }
+  };
 
-    const winner = sessionData.candidates.find(c => c.id === winnerId) || sessionData.candidates[0];
+  const endRound = async () => {
+    if (!user || !sessionId) return;
 
-    await updateDoc(doc(db, 'artifacts', appId, 'public', 'data', 'sessions', sessionId), {
-      status: 'finished',
-      winner: winner
-    });
+    await callSessionApi(user, `/${sessionId}/rounds`);
+  };
+
+  const manageParticipant = async (action, participant) => {
+    if (!user || !sessionId) return;
+    const target = encodeURIComponent(participant.userId);
+
+    try {
+      if (action === 'host') {
+        await callSessionApi(user, `/${sessionId}/host`, { body: { userId: participant.userId } });
+      } else if (action === 'cohost' || action === 'uncohost') {
+        await callSessionApi(user, `/${sessionId}/cohosts/${target}`, {
+          method: 'PUT',
+          body: { coHost: action === 'cohost' }
+        });
+      } else if (action === 'kick' || action === 'ban') {
+        const verb = action === 'ban' ? 'Ban' : 'Remove';
+        if (!window.confirm(`${verb} ${participant.name} from this session?`)) return;
+        await callSessionApi(user, `/${sessionId}/participants/${target}`, {
+          method: 'DELETE',
+          body: { ban: action === 'ban' }
+        });
+      }
+    } catch (e) {
+      console.error("Error managing participant", e);
+    }
+  };
+
+  const setLocked = async (locked) => {
+    if (!user || !sessionId) return;
+
+    try {
+      await callSessionApi(user, `/${sessionId}/lock`, { method: 'PUT', body: { locked } });
+    } catch (e) {
+      console.error("Error locking session", e);
+    }
+  };
+
+  const shareLocation = async (coordinates) => {
+    if (!user || !sessionId) return;
+
+    await callSessionApi(user, `/${sessionId}/location`, { method: 'PUT', body: { coordinates } });
+  };
+
+  const endVoting = async () => {
+    if (!user || !sessionId || !sessionData) return;
+
+    await sessionClient.endVoting(sessionId);
   };
 
   const resetApp = () => {
-    setSessionId(null);
-    setSessionData(null);
-    setParticipants([]);
-    setVotes([]);
-    setView('landing');
+    setCrewData(null);
     setUsingMock(false);
-    window.history.pushState({path:'/'},'','/');
+    navigate(HOME_PATH);
   };
 
   return (
     <div className="font-sans antialiased text-gray-900 bg-gradient-to-br from-indigo-500 via-purple-600 to-pink-500 min-h-screen">
-      {view === 'landing' && <Landing onStart={createSession} />}
-      {view === 'join' && <JoinSession onJoin={joinSession} sessionId={sessionId} />}
+      {view === 'landing' && removalNotice && (
+        <div className="fixed top-4 left-0 right-0 flex justify-center px-4 z-50">
+          <div className="max-w-md w-full bg-white rounded-2xl shadow-2xl p-4 flex items-start gap-3 text-gray-800">
+            <UserX className="text-red-500 flex-shrink-0 mt-0.5" size={20} />
+            <p className="text-sm font-medium flex-1">{removalNotice}</p>
+            <button onClick={() => setRemovalNotice('')} className="text-gray-400 hover:text-gray-600">
+              <X size={16} />
+            </button>
+          </div>
+        </div>
+      )}
+      {['landing', 'join'].includes(view) && user && (
+        <button
+          onClick={() => setShowProfile(true)}
+          style={profile?.avatarColor ? { backgroundColor: profile.avatarColor } : undefined}
+          className="fixed top-4 right-4 z-40 w-11 h-11 rounded-full bg-white/20 border-2 border-white/60 text-white font-bold shadow-lg backdrop-blur hover:scale-105 transition-transform flex items-center justify-center"
+          aria-label="Your profile"
+        >
+          {profile?.displayName ? profile.displayName.charAt(0).toUpperCase() : <Users size={18} />}
+        </button>
+      )}
+      {showProfile && (
+        <ProfilePanel
+          profile={profile}
+          account={account}
+          onSave={saveProfile}
+          onSendLink={sendEmailLink}
+          onClose={() => setShowProfile(false)}
+        />
+      )}
+      {['landing', 'crew'].includes(view) && (
+        <CrewSessionBanner
+          crews={crews}
+          userId={user?.uid}
+          dismissed={dismissedCrewSessions}
+          onJoin={(sid) => openSessionLink(sid)}
+          onDismiss={(sid) => setDismissedCrewSessions([...dismissedCrewSessions, sid])}
+        />
+      )}
+      {view === 'landing' && (
+        <Landing onStart={createSession} onSearchPlaces={searchPlaces} defaultName={profile?.displayName}>
+          {user && (
+            <>
+              <CrewList
+                crews={crews}
+                onOpen={openCrew}
+                onStartSession={startCrewSession}
+                onCreate={createCrew}
+              />
+              <button onClick={openHistory} className="mt-6 text-sm font-bold text-white/80 hover:text-white flex items-center gap-2">
+                <Clock size={16} /> Past decisions
+              </button>
+            </>
+          )}
+        </Landing>
+      )}
+      {view === 'landing' && pendingRating && !showProfile && (
+        <RatingPrompt pending={pendingRating} onRate={rateMeal} onClose={() => setPendingRating(null)} />
+      )}
+      {view === 'history' && <HistoryView entries={history} crews={crews} onBack={resetApp} />}
+      {view === 'crew' && crewData && (
+        <CrewPage
+          crew={crewData}
+          userId={user?.uid}
+          defaultName={profile?.displayName}
+          sessions={crewSessions}
+          participants={crewParticipants}
+          onStartSession={startCrewSession}
+          onOpenSession={(sid) => openSessionLink(sid)}
+          onJoin={joinCrew}
+          onLeave={leaveCrew}
+          onUpdate={updateCrew}
+          onBack={resetApp}
+        />
+      )}
+      {view === 'join' && <JoinSession onJoin={joinSession} sessionId={sessionId} defaultName={profile?.displayName} />}
+      {view === 'expired' && <SessionExpired sessionId={sessionId} onReset={resetApp} />}
       {view === 'lobby' && sessionData && (
         <Lobby 
           session={sessionData} 
           participants={participants} 
           userId={user?.uid}
           onSubmitPref={submitPreference}
+          onTyping={setTyping}
           onStartVoting={startVoting}
+          onDeadline={enforceDeadline}
+          onManage={manageParticipant}
+          onSetLocked={setLocked}
+          onShareLocation={shareLocation}
+          onSearch={searchRestaurants}
+          onNominate={nominate}
+          onWithdraw={withdrawNomination}
           isStarting={isStarting}
         />
       )}
-      {view === 'loading' && <LoadingSpinner message={loadingMsg} isMock={usingMock} />}
+      {view === 'loading' && <LoadingSpinner message={isStarting ? loadingMsg : 'Opening the session...'} isMock={usingMock} />}
       {view === 'voting' && sessionData && (
-        <>
-          <Voting 
-            session={sessionData} 
-            candidates={sessionData.candidates || []} 
-            userId={user?.uid}
-            onVote={async (rid) => {
-               const voteDocId = `${sessionId}_${user.uid}_${rid}`;
-               const existing = votes.find(v => v.userId === user.uid && v.restaurantId === rid);
-               
-               if (existing) {
-                  try {
-                    await deleteDoc(doc(db, 'artifacts', appId, 'public', 'data', 'votes', voteDocId));
-                  } catch (e) {
-                     console.error("Error removing vote", e);
-                  }
-               } else {
-                 await setDoc(doc(db, 'artifacts', appId, 'public', 'data', 'votes', voteDocId), {
-                    sessionId,
-                    userId: user.uid,
-                    restaurantId: rid
-                 });
-               }
-            }}
-            votes={votes}
-          />
-          {sessionData.hostId === user?.uid && (
-            <div className="fixed bottom-6 left-0 right-0 flex justify-center z-50 pointer-events-none">
-              <button
-                onClick={endVoting}
-                className="pointer-events-auto bg-gray-900 text-white font-bold py-4 px-10 rounded-full shadow-2xl hover:scale-105 transform transition-all flex items-center gap-3 border border-gray-700"
-              >
-                <Trophy size={18} className="text-yellow-400" />
-                End Voting & Reveal Winner
-              </button>
-            </div>
-          )}
-        </>
+        <Voting 
+          session={sessionData} 
+          candidates={activeCandidates(sessionData)} 
+          userId={user?.uid}
+          onVote={castVote}
+          onRank={submitRanking}
+          onSwipe={swipeCandidate}
+          onVeto={vetoCandidate}
+          onReroll={isModerator(sessionData, user?.uid) ? rerollSlate : null}
+          onReplace={replaceCandidate}
+          onDeadline={enforceDeadline}
+          onEnd={isModerator(sessionData, user?.uid) ? (isRoundToEnd ? endRound : endVoting) : null}
+          endLabel={isRoundToEnd ? `End Round ${sessionData.round || 1}` : 'End Voting & Reveal Winner'}
+          votes={roundVotes}
+        />
       )}
       {view === 'winner' && sessionData?.winner && (
-        <Winner winner={sessionData.winner} onReset={resetApp} />
+        <Winner
+          winner={sessionData.winner}
+          session={sessionData}
+          participants={participants}
+          onReset={resetApp}
+        />
       )}
     </div>
   );
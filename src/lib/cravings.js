@@ -0,0 +1,256 @@
+import { METERS_PER_MILE, MAX_RADIUS } from './geo.js';
+
+/* -------------------------------------------------------------------------- */
+/* CRAVING PARSER                                                             */
+/* -------------------------------------------------------------------------- */
+
+// Rule-based parser for the lobby's free-text cravings. Runs in the browser for
+// the live chip preview and on the server when the preference is saved, so the
+// two always agree.
+
+// Longest craving the server accepts; the lobby's textarea stops here too.
+export const MAX_PREFERENCE_LENGTH = 500;
+
+// phrase -> Yelp category alias. Longer phrases are matched first.
+export const CUISINES = {
+  'burgers': 'burgers', 'burger': 'burgers',
+  'pizza': 'pizza',
+  'sushi': 'sushi',
+  'ramen': 'ramen',
+  'mexican': 'mexican', 'tacos': 'mexican', 'taco': 'mexican', 'burritos': 'mexican',
+  'chinese': 'chinese', 'dim sum': 'dimsum',
+  'thai': 'thai',
+  'indian': 'indpak', 'curry': 'indpak',
+  'italian': 'italian', 'pasta': 'italian',
+  'japanese': 'japanese',
+  'korean': 'korean', 'korean bbq': 'korean',
+  'vietnamese': 'vietnamese', 'pho': 'vietnamese',
+  'bbq': 'bbq', 'barbecue': 'bbq',
+  'seafood': 'seafood', 'fish': 'seafood',
+  'mediterranean': 'mediterranean', 'greek': 'greek',
+  'salad': 'salad', 'salads': 'salad',
+  'sandwich': 'sandwiches', 'sandwiches': 'sandwiches', 'subs': 'sandwiches',
+  'breakfast': 'breakfast_brunch', 'brunch': 'breakfast_brunch',
+  'steak': 'steak', 'steakhouse': 'steak',
+  'wings': 'chickenshop', 'chicken': 'chickenshop', 'fried chicken': 'chickenshop',
+  'southern': 'southern', 'soul food': 'soulfood',
+  'american': 'newamerican',
+  'caribbean': 'caribbean',
+  'ethiopian': 'ethiopian'
+};
+
+// Hard requirements that must hold for whoever states them.
+export const DIETARY = {
+  'vegan': 'vegan',
+  'vegetarian': 'vegetarian', 'veggie': 'vegetarian',
+  'halal': 'halal',
+  'kosher': 'kosher',
+  'gluten free': 'gluten_free', 'gluten-free': 'gluten_free', 'celiac': 'gluten_free'
+};
+
+// Foods and kinds of place people rule out that are not cuisines. "no X" only
+// excludes X when it is one of these or a cuisine, so "no preference" or
+// "no idea" stay filler.
+export const FOOD_TERMS = [
+  'spicy', 'fried', 'greasy', 'meat', 'pork', 'beef', 'lamb', 'shellfish', 'dairy', 'cheese',
+  'nuts', 'peanuts', 'eggs', 'mushrooms', 'onions', 'garlic', 'cilantro', 'raw fish',
+  'fast food', 'chains', 'buffet', 'buffets', 'bar food'
+];
+
+export const VIBES = [
+  'live music', 'outdoor seating', 'patio', 'rooftop', 'quiet', 'romantic', 'cozy',
+  'family friendly', 'kid friendly', 'dog friendly', 'sports bar', 'late night',
+  'happy hour', 'trendy', 'casual', 'fancy', 'date night', 'karaoke', 'cocktails'
+];
+
+export const DIETARY_LABELS = {
+  vegan: 'Vegan',
+  vegetarian: 'Vegetarian',
+  halal: 'Halal',
+  kosher: 'Kosher',
+  gluten_free: 'Gluten-free'
+};
+
+const PRICE_WORDS = { cheap: 1, budget: 1, inexpensive: 1, affordable: 2 };
+// Upper bound of a Yelp price level, in dollars per person.
+const PRICE_LEVEL_CEILINGS = [10, 30, 60];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const byLength = (a, b) => b.length - a.length;
+
+const hasPhrase = (text, phrase) =>
+  new RegExp(`(^|[^a-z])${escapeRegExp(phrase)}($|[^a-z])`).test(text);
+
+const dollarsToLevel = (amount) => {
+  const index = PRICE_LEVEL_CEILINGS.findIndex(ceiling => amount <= ceiling);
+  return index === -1 ? 4 : index + 1;
+};
+
+const parsePriceMax = (text) => {
+  const budget = text.match(/(?:under|below|less than|max|at most|<)\s*\$\s*(\d+)/);
+  if (budget) return dollarsToLevel(Number(budget[1]));
+
+  const symbols = text.match(/(^|\s)(\${1,4})(?=\s|$|[,.!])/);
+  if (symbols) return symbols[2].length;
+
+  const word = Object.keys(PRICE_WORDS).find(w => hasPhrase(text, w));
+  return word ? PRICE_WORDS[word] : null;
+};
+
+const parseRadius = (text) => {
+  const miles = text.match(/(?:within|under|less than)\s*(\d+(?:\.\d+)?)\s*(?:mi|miles?)\b/);
+  if (miles) return Math.min(Math.round(Number(miles[1]) * METERS_PER_MILE), MAX_RADIUS);
+
+  const km = text.match(/(?:within|under|less than)\s*(\d+(?:\.\d+)?)\s*(?:km|kilometers?)\b/);
+  if (km) return Math.min(Math.round(Number(km[1]) * 1000), MAX_RADIUS);
+
+  if (hasPhrase(text, 'walking distance') || hasPhrase(text, 'walkable')) return 1000;
+  if (hasPhrase(text, 'nearby') || hasPhrase(text, 'close by')) return 3000;
+  return null;
+};
+
+const EXCLUSION_PATTERN = /\b(?:no|without|nothing|anything but|except|avoid|hate)\s+([a-z][a-z -]*?)(?=$|[,.;!]|\s+(?:and|or|but|please|under|within)\b)/g;
+
+// "not" usually qualifies what follows ("not too spicy thai"), so it only
+// excludes a cuisine named right after it ("tacos, not pizza").
+const NOT_CUISINE_PATTERN = new RegExp(
+  `\\bnot\\s+(${Object.keys(CUISINES).sort(byLength).map(escapeRegExp).join('|')})(?![a-z])`, 'g'
+);
+
+const parseExclusions = (text) => {
+  const exclusions = [];
+  for (const match of text.matchAll(EXCLUSION_PATTERN)) {
+    const phrase = match[1].trim();
+    const cuisine = Object.keys(CUISINES).sort(byLength).find(k => hasPhrase(phrase, k));
+    const food = [...FOOD_TERMS].sort(byLength).find(k => hasPhrase(phrase, k));
+    if (cuisine) exclusions.push(CUISINES[cuisine]);
+    else if (food) exclusions.push(food);
+  }
+  for (const match of text.matchAll(NOT_CUISINE_PATTERN)) {
+    exclusions.push(CUISINES[match[1]]);
+  }
+  return [...new Set(exclusions)];
+};
+
+// Removes the "no X" clauses so their words are not read as cravings too.
+const stripExclusions = (text) => text.replace(EXCLUSION_PATTERN, ' ').replace(NOT_CUISINE_PATTERN, ' ');
+
+/**
+ * @typedef {Object} ParsedCraving
+ * @property {string[]} cuisines Yelp category aliases
+ * @property {string[]} dietary keys of DIETARY_LABELS
+ * @property {string[]} exclusions category aliases or FOOD_TERMS
+ * @property {string[]} vibes
+ * @property {number|null} priceMax 1-4
+ * @property {number|null} radius meters
+ */
+
+/** @returns {ParsedCraving} */
+export const parseCraving = (input) => {
+  const text = (input || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const positive = stripExclusions(text);
+
+  const cuisines = new Set();
+  Object.keys(CUISINES).sort(byLength).forEach(phrase => {
+    if (hasPhrase(positive, phrase)) cuisines.add(CUISINES[phrase]);
+  });
+
+  const dietary = new Set();
+  Object.keys(DIETARY).sort(byLength).forEach(phrase => {
+    if (hasPhrase(text, phrase)) dietary.add(DIETARY[phrase]);
+  });
+
+  const exclusions = parseExclusions(text);
+
+  return {
+    cuisines: [...cuisines].filter(c => !exclusions.includes(c)),
+    dietary: [...dietary],
+    exclusions,
+    vibes: VIBES.filter(v => hasPhrase(positive, v)),
+    priceMax: parsePriceMax(text),
+    radius: parseRadius(text)
+  };
+};
+
+export const cuisineLabel = (alias) =>
+  Object.keys(CUISINES).find(k => CUISINES[k] === alias) || alias;
+
+/**
+ * Flattens a parsed craving into display chips. Chip ids are stable so the
+ * lobby can send back the ones a participant dismissed.
+ */
+export const cravingChips = (parsed) => [
+  ...parsed.cuisines.map(c => ({ id: `cuisine:${c}`, type: 'cuisine', label: cuisineLabel(c) })),
+  ...parsed.dietary.map(d => ({ id: `dietary:${d}`, type: 'dietary', label: DIETARY_LABELS[d] })),
+  ...parsed.exclusions.map(x => ({ id: `exclusion:${x}`, type: 'exclusion', label: `No ${cuisineLabel(x)}` })),
+  ...parsed.vibes.map(v => ({ id: `vibe:${v}`, type: 'vibe', label: v })),
+  ...(parsed.priceMax ? [{ id: 'price', type: 'price', label: `Up to ${'$'.repeat(parsed.priceMax)}` }] : []),
+  ...(parsed.radius ? [{ id: 'radius', type: 'radius', label: `Within ${(parsed.radius / METERS_PER_MILE).toFixed(1)} mi` }] : [])
+];
+
+/**
+ * Folds a participant's standing profile constraints into today's craving.
+ * Dietary needs always apply; a disliked cuisine is dropped when the craving
+ * explicitly asks for it.
+ *
+ * @param {ParsedCraving} parsed
+ * @param {{dietary?: string[], exclusions?: string[]}|null} standing
+ * @returns {ParsedCraving}
+ */
+export const withStanding = (parsed, standing) => {
+  if (!standing) return parsed;
+  const dislikes = (standing.exclusions || []).filter(x => !parsed.cuisines.includes(x));
+  return {
+    ...parsed,
+    dietary: [...new Set([...parsed.dietary, ...(standing.dietary || [])])],
+    exclusions: [...new Set([...parsed.exclusions, ...dislikes])]
+  };
+};
+
+export const hasStanding = (standing) =>
+  !!standing && ((standing.dietary || []).length > 0 || (standing.exclusions || []).length > 0);
+
+/** Drops the chips a participant rejected from a parsed craving. */
+export const dismissChips = (parsed, dismissed = []) => {
+  const drop = new Set(dismissed);
+  return {
+    cuisines: parsed.cuisines.filter(c => !drop.has(`cuisine:${c}`)),
+    dietary: parsed.dietary.filter(d => !drop.has(`dietary:${d}`)),
+    exclusions: parsed.exclusions.filter(x => !drop.has(`exclusion:${x}`)),
+    vibes: parsed.vibes.filter(v => !drop.has(`vibe:${v}`)),
+    priceMax: drop.has('price') ? null : parsed.priceMax,
+    radius: drop.has('radius') ? null : parsed.radius
+  };
+};
+
+const minOrNull = (values) => {
+  const present = values.filter(v => v != null);
+  return present.length > 0 ? Math.min(...present) : null;
+};
+
+/**
+ * Combines everyone's parsed cravings into provider search filters. The
+ * tightest price cap and radius win; dietary needs become required categories
+ * and exclusions are removed from the wanted ones.
+ *
+ * @param {ParsedCraving[]} cravings
+ * @returns {{term: string, categories: string[], price: number[], radius: number|null, exclude: string[]}}
+ */
+export const cravingsToFilters = (cravings) => {
+  const exclude = new Set(cravings.flatMap(c => c.exclusions));
+  const categories = new Set([
+    ...cravings.flatMap(c => c.cuisines).filter(c => !exclude.has(c)),
+    ...cravings.flatMap(c => c.dietary)
+  ]);
+  const priceMax = minOrNull(cravings.map(c => c.priceMax));
+  const vibes = [...new Set(cravings.flatMap(c => c.vibes))];
+
+  return {
+    term: vibes.length > 0 ? `restaurants ${vibes.join(' ')}` : 'restaurants',
+    categories: [...categories],
+    price: priceMax ? Array.from({ length: priceMax }, (_, i) => i + 1) : [],
+    radius: minOrNull(cravings.map(c => c.radius)),
+    exclude: [...exclude]
+  };
+};
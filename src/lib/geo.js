@@ -0,0 +1,63 @@
+/* -------------------------------------------------------------------------- */
+/* GEOGRAPHY                                                                  */
+/* -------------------------------------------------------------------------- */
+
+// Distances between coordinates, shared by slate building on the server and
+// the distance labels on voting cards.
+
+export const METERS_PER_MILE = 1609;
+// Yelp's own search radius limit.
+export const MAX_RADIUS = 40000;
+
+// 0 means no limit beyond what the provider applies.
+export const RADIUS_OPTIONS = [0, 1609, 3218, 8045, 16090, MAX_RADIUS];
+
+export const LOCATION_MODES = {
+  fixed: {
+    label: 'One spot',
+    description: 'Search around the location above.'
+  },
+  midpoint: {
+    label: 'Meet in the middle',
+    description: 'Search around the center of where everyone shares from.'
+  }
+};
+
+const EARTH_RADIUS_M = 6371000;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export const isCoordinates = (value) =>
+  !!value &&
+  Number.isFinite(value.latitude) && Math.abs(value.latitude) <= 90 &&
+  Number.isFinite(value.longitude) && Math.abs(value.longitude) <= 180;
+
+/** Great-circle distance in meters. */
+export const distanceMeters = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return Math.round(2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h)));
+};
+
+/**
+ * Average of the given points. Plain averaging is fine at the scale of a city,
+ * which is the only scale a group lunch spans.
+ *
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+export const centroid = (points) => {
+  const valid = points.filter(isCoordinates);
+  if (valid.length === 0) return null;
+  return {
+    latitude: valid.reduce((sum, p) => sum + p.latitude, 0) / valid.length,
+    longitude: valid.reduce((sum, p) => sum + p.longitude, 0) / valid.length
+  };
+};
+
+export const formatDistance = (meters) => {
+  const miles = meters / METERS_PER_MILE;
+  return miles < 0.1 ? 'Nearby' : `${miles < 10 ? miles.toFixed(1) : Math.round(miles)} mi`;
+};
+
+export const formatRadius = (meters) => (meters ? `Within ${Math.round(meters / METERS_PER_MILE)} mi` : 'Any distance');
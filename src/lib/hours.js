@@ -0,0 +1,93 @@
+/* -------------------------------------------------------------------------- */
+/* OPENING HOURS                                                              */
+/* -------------------------------------------------------------------------- */
+
+// Candidates carry weekly hours as `{day, open, close}` slots: `day` 0-6 from
+// Sunday, `open`/`close` in minutes after local midnight. A slot that runs past
+// midnight has `close` above 1440. The server filters the slate with these and
+// the detail sheet lists them.
+
+export const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MINUTES_PER_DAY = 24 * 60;
+
+// '' is no filter, 'now' is open when voting starts, anything else is a
+// HH:MM meal time later today.
+export const OPEN_FILTERS = {
+  '': 'Any time',
+  now: 'Open now',
+  at: 'Open at...'
+};
+
+export const isMealTime = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+export const isTimeZone = (value) => {
+  if (typeof value !== 'string' || !value) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Day of week and minutes after midnight of `millis`, on the wall clock of
+ * `timeZone` (the runtime's own zone when missing).
+ *
+ * @returns {{day: number, minutes: number}}
+ */
+export const localClock = (millis, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isTimeZone(timeZone) ? timeZone : undefined,
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(millis));
+  const part = (type) => parts.find(p => p.type === type)?.value;
+  return {
+    day: DAY_NAMES.indexOf(part('weekday')),
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+};
+
+/**
+ * The moment a session's open filter asks about: voting start for 'now', or
+ * the given HH:MM on the same day.
+ *
+ * @returns {{day: number, minutes: number}|null} null when there is no filter
+ */
+export const mealClock = (openAt, now, timeZone) => {
+  if (!openAt) return null;
+  const clock = localClock(now, timeZone);
+  if (!isMealTime(openAt)) return clock;
+  const [hours, minutes] = openAt.split(':').map(Number);
+  return { day: clock.day, minutes: hours * 60 + minutes };
+};
+
+/**
+ * @returns {boolean|null} null when the hours are unknown
+ */
+export const isOpenAt = (hours, { day, minutes }) => {
+  if (!Array.isArray(hours) || hours.length === 0) return null;
+  const yesterday = (day + 6) % 7;
+  return hours.some(slot =>
+    (slot.day === day && slot.open <= minutes && minutes < slot.close) ||
+    (slot.day === yesterday && slot.close > MINUTES_PER_DAY && minutes < slot.close - MINUTES_PER_DAY));
+};
+
+export const formatClockTime = (minutes) => {
+  const m = minutes % MINUTES_PER_DAY;
+  const hour = Math.floor(m / 60);
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  return `${hour % 12 || 12}:${String(m % 60).padStart(2, '0')} ${suffix}`;
+};
+
+/** "11:00 AM – 2:30 PM, 5:00 PM – 10:00 PM", or "Closed". */
+export const formatDayHours = (hours, day) => {
+  const slots = (hours || []).filter(slot => slot.day === day).sort((a, b) => a.open - b.open);
+  if (slots.length === 0) return 'Closed';
+  return slots.map(slot =>
+    slot.open === 0 && slot.close >= MINUTES_PER_DAY ? 'Open 24 hours' : `${formatClockTime(slot.open)} – ${formatClockTime(slot.close)}`
+  ).join(', ');
+};
@@ -0,0 +1,86 @@
+import { isCoordinates } from './geo.js';
+
+/* -------------------------------------------------------------------------- */
+/* MAP TILES                                                                  */
+/* -------------------------------------------------------------------------- */
+
+// Web Mercator math for the voting map. Tiles come from any `{z}/{x}/{y}`
+// template, so the map can point at OpenStreetMap, a local tile server, or
+// nothing at all.
+
+export const TILE_SIZE = 256;
+export const DEFAULT_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+export const DEFAULT_TILE_ATTRIBUTION = '© OpenStreetMap contributors';
+// A tile URL of `none` draws a plain grid instead of fetching tiles.
+export const NO_TILES = 'none';
+
+export const MIN_ZOOM = 2;
+export const MAX_ZOOM = 17;
+
+/** Pixel position of a point on the whole world map at `zoom`. */
+export const project = ({ latitude, longitude }, zoom) => {
+  const size = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((Math.max(-85, Math.min(85, latitude)) * Math.PI) / 180);
+  return {
+    x: ((longitude + 180) / 360) * size,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+  };
+};
+
+/**
+ * Highest zoom at which every point fits inside the viewport, less padding.
+ * A single point gets a street-level zoom.
+ */
+export const fitZoom = (points, width, height, padding = 32) => {
+  const valid = points.filter(isCoordinates);
+  if (valid.length < 2) return valid.length ? MAX_ZOOM - 2 : MIN_ZOOM;
+
+  for (let zoom = MAX_ZOOM; zoom > MIN_ZOOM; zoom--) {
+    const projected = valid.map(p => project(p, zoom));
+    const xs = projected.map(p => p.x);
+    const ys = projected.map(p => p.y);
+    if (Math.max(...xs) - Math.min(...xs) <= width - 2 * padding &&
+        Math.max(...ys) - Math.min(...ys) <= height - 2 * padding) {
+      return zoom;
+    }
+  }
+  return MIN_ZOOM;
+};
+
+/** World pixel at the middle of the points' bounding box. */
+export const boundsCenter = (points, zoom) => {
+  const projected = points.filter(isCoordinates).map(p => project(p, zoom));
+  if (projected.length === 0) return { x: 0, y: 0 };
+  const xs = projected.map(p => p.x);
+  const ys = projected.map(p => p.y);
+  return {
+    x: (Math.min(...xs) + Math.max(...xs)) / 2,
+    y: (Math.min(...ys) + Math.max(...ys)) / 2
+  };
+};
+
+/**
+ * Tiles covering a viewport whose top-left corner sits at `origin` in world
+ * pixels, with each tile's offset inside the viewport.
+ */
+export const visibleTiles = (origin, width, height, zoom, template) => {
+  const count = 2 ** zoom;
+  const tiles = [];
+  for (let ty = Math.floor(origin.y / TILE_SIZE); ty * TILE_SIZE < origin.y + height; ty++) {
+    if (ty < 0 || ty >= count) continue;
+    for (let tx = Math.floor(origin.x / TILE_SIZE); tx * TILE_SIZE < origin.x + width; tx++) {
+      const wrapped = ((tx % count) + count) % count;
+      tiles.push({
+        key: `${zoom}/${tx}/${ty}`,
+        left: tx * TILE_SIZE - origin.x,
+        top: ty * TILE_SIZE - origin.y,
+        url: template
+          .replace('{z}', zoom)
+          .replace('{x}', wrapped)
+          .replace('{y}', ty)
+          .replace('{s}', 'abc'[(wrapped + ty) % 3])
+      });
+    }
+  }
+  return tiles;
+};
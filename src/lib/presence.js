@@ -0,0 +1,39 @@
+/* -------------------------------------------------------------------------- */
+/* PRESENCE                                                                   */
+/* -------------------------------------------------------------------------- */
+
+// Derives online/away/left from the timestamps the server keeps on participant
+// docs. Shared so the lobby list and the host handoff agree on who is around.
+
+export const HEARTBEAT_MS = 30 * 1000;
+// Two missed heartbeats and you are away; four and you have left.
+export const AWAY_AFTER_MS = 2 * HEARTBEAT_MS + 15 * 1000;
+export const LEFT_AFTER_MS = 4 * HEARTBEAT_MS;
+// A typing flag nobody refreshed is stale after this long.
+export const TYPING_TTL_MS = 8 * 1000;
+
+export const PRESENCE_LABELS = {
+  online: 'Online',
+  away: 'Away',
+  left: 'Left'
+};
+
+const millisOf = (timestamp) => {
+  if (timestamp?.toMillis) return timestamp.toMillis();
+  return typeof timestamp === 'number' ? timestamp : 0;
+};
+
+/**
+ * @param {{lastSeenAt?: *, away?: boolean, leftAt?: *}} participant
+ * @param {number} now epoch millis, server-corrected on the client
+ * @returns {'online'|'away'|'left'}
+ */
+export const presenceOf = (participant, now) => {
+  const lastSeen = millisOf(participant.lastSeenAt);
+  if (participant.leftAt || now - lastSeen >= LEFT_AFTER_MS) return 'left';
+  if (participant.away || now - lastSeen >= AWAY_AFTER_MS) return 'away';
+  return 'online';
+};
+
+export const isTyping = (participant, now) =>
+  presenceOf(participant, now) === 'online' && now - millisOf(participant.typingAt) < TYPING_TTL_MS;
@@ -0,0 +1,31 @@
+import { CUISINES, DIETARY_LABELS, cuisineLabel } from './cravings.js';
+
+/* -------------------------------------------------------------------------- */
+/* PROFILES                                                                   */
+/* -------------------------------------------------------------------------- */
+
+// Shape and options of the per-user profile doc. The server validates against
+// these lists and the profile screen renders them.
+
+export const AVATAR_COLORS = [
+  '#6366f1', '#a855f7', '#ec4899', '#f97316', '#eab308', '#22c55e', '#14b8a6', '#3b82f6'
+];
+
+export const DIETARY_OPTIONS = Object.keys(DIETARY_LABELS);
+
+// One entry per Yelp alias, labelled with its first phrase.
+export const CUISINE_OPTIONS = [...new Set(Object.values(CUISINES))]
+  .map(alias => ({ alias, label: cuisineLabel(alias) }));
+
+export const DEFAULT_PROFILE = {
+  displayName: '',
+  avatarColor: null,
+  dietary: [],
+  dislikedCuisines: []
+};
+
+/** Standing constraints as stored on a participant doc when they join. */
+export const standingFromProfile = (profile) => ({
+  dietary: profile?.dietary || [],
+  exclusions: profile?.dislikedCuisines || []
+});
@@ -0,0 +1,30 @@
+/* -------------------------------------------------------------------------- */
+/* MEAL RATINGS                                                               */
+/* -------------------------------------------------------------------------- */
+
+// After a session, each participant rates the winning place. Future slates
+// prefer places their group liked and drop places anyone disliked.
+
+export const MAX_STARS = 5;
+// At or below this, one person's rating keeps the place off their group's slate.
+export const BAD_RATING = 2;
+
+export const RATING_TAGS = [
+  'Great food', 'Good value', 'Fast service', 'Big portions', 'Great vibe',
+  'Too pricey', 'Slow service', 'Too loud', 'Small portions', 'Not what we wanted'
+];
+
+/**
+ * @param {{id: string, name: string}} candidate
+ * @param {Map<string, number[]>} ratings id or lowercased name -> stars
+ * @returns {{average: number, count: number, lowest: number}|null}
+ */
+export const summarizeRatings = (candidate, ratings) => {
+  const stars = ratings.get(candidate.id) || ratings.get(candidate.name.toLowerCase());
+  if (!stars || stars.length === 0) return null;
+  return {
+    average: Math.round((stars.reduce((sum, s) => sum + s, 0) / stars.length) * 10) / 10,
+    count: stars.length,
+    lowest: Math.min(...stars)
+  };
+};
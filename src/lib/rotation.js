@@ -0,0 +1,37 @@
+/* -------------------------------------------------------------------------- */
+/* WINNER ROTATION                                                            */
+/* -------------------------------------------------------------------------- */
+
+// Keeps a group from landing on the same place every time: restaurants that
+// won a recent session are either pushed down the slate or left off it.
+
+export const ROTATION_MODES = {
+  downrank: {
+    label: 'Push down',
+    description: 'Recent winners can still show up, just lower on the list.'
+  },
+  exclude: {
+    label: 'Leave out',
+    description: 'Recent winners are left off the slate.'
+  }
+};
+
+export const ROTATION_DAY_OPTIONS = [0, 3, 7, 14, 30];
+export const MAX_ROTATION_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const daysAgo = (millis, now) => Math.floor((now - millis) / DAY_MS);
+
+export const rotationCutoff = (rotation, now) => now - rotation.days * DAY_MS;
+
+/**
+ * Matches by id first and by name as a fallback, since the same place can come
+ * back from a different provider with a different id.
+ *
+ * @param {{id: string, name: string}} candidate
+ * @param {Map<string, number>} recentWins id or lowercased name -> won at (ms)
+ * @returns {number|null} when it last won
+ */
+export const lastWonAt = (candidate, recentWins) =>
+  recentWins.get(candidate.id) ?? recentWins.get(candidate.name.toLowerCase()) ?? null;
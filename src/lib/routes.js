@@ -0,0 +1,65 @@
+/* -------------------------------------------------------------------------- */
+/* ROUTES                                                                     */
+/* -------------------------------------------------------------------------- */
+
+// Every screen has a URL, so shared links, refreshes and the back button land
+// where they should. A session route names the phase the user expects; the
+// app checks it against the session's status and redirects when they differ.
+
+export const SESSION_ROUTES = ['join', 'lobby', 'vote', 'result'];
+
+// Where members of a session belong for each status.
+export const STATUS_ROUTES = {
+  open: 'lobby',
+  voting: 'vote',
+  finished: 'result'
+};
+
+export const HOME_PATH = '/';
+export const HISTORY_PATH = '/history';
+
+export const sessionPath = (sessionId, name = 'join') => `/s/${encodeURIComponent(sessionId)}/${name}`;
+
+export const crewPath = (crewId) => `/crew/${encodeURIComponent(crewId)}`;
+
+const decode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Reads a route from a URL's path, or from the `?session=`/`?crew=` links
+ * shared before routes existed. Unknown paths go home.
+ *
+ * @returns {{name: string, sessionId?: string, crewId?: string}} `name` is
+ *   'landing', 'history', 'crew' or one of SESSION_ROUTES
+ */
+export const parseRoute = (pathname, search = '') => {
+  const segments = pathname.split('/').filter(Boolean).map(decode);
+  const [first, id, phase = 'join'] = segments;
+
+  if (first === 's' && id && SESSION_ROUTES.includes(phase) && segments.length <= 3) {
+    return { name: phase, sessionId: id };
+  }
+  if (first === 'crew' && id && segments.length === 2) {
+    return { name: 'crew', crewId: id };
+  }
+  if (first === 'history' && segments.length === 1) {
+    return { name: 'history' };
+  }
+
+  const params = new URLSearchParams(search);
+  if (params.get('session')) return { name: 'join', sessionId: params.get('session') };
+  if (params.get('crew')) return { name: 'crew', crewId: params.get('crew') };
+  return { name: 'landing' };
+};
+
+/** The canonical path of a route from `parseRoute`. */
+export const routePath = (route) => {
+  if (route.sessionId) return sessionPath(route.sessionId, route.name);
+  if (route.crewId) return crewPath(route.crewId);
+  return route.name === 'history' ? HISTORY_PATH : HOME_PATH;
+};
@@ -0,0 +1,358 @@
+/* -------------------------------------------------------------------------- */
+/* VOTING MODES & TALLY                                                       */
+/* -------------------------------------------------------------------------- */
+
+// Pure scoring helpers shared by the voting UI and `endVoting`. Nothing in
+// here touches Firestore or React so it can be exercised on plain arrays.
+
+export const VOTING_MODES = {
+  approval: {
+    label: 'Approval',
+    description: 'Vote for every place you would be happy with.',
+    ranked: false
+  },
+  single: {
+    label: 'One Vote Each',
+    description: 'Everyone gets exactly one vote.',
+    ranked: false
+  },
+  ranked: {
+    label: 'Ranked Choice',
+    description: 'Rank your picks. Last place is eliminated until someone has a majority.',
+    ranked: true
+  },
+  borda: {
+    label: 'Borda Count',
+    description: 'Rank your picks. Higher ranks earn more points.',
+    ranked: true
+  },
+  swipe: {
+    label: 'Swipe',
+    description: 'One place at a time. A unanimous like wins instantly.',
+    ranked: false,
+    swipe: true
+  },
+  elimination: {
+    label: 'Elimination Rounds',
+    description: 'Vote in rounds. The bottom half is cut until a final head-to-head.',
+    ranked: false,
+    rounds: true
+  }
+};
+
+export const DEFAULT_VOTING_MODE = 'approval';
+
+export const isRankedMode = (mode) => !!VOTING_MODES[mode]?.ranked;
+
+export const isSwipeMode = (mode) => !!VOTING_MODES[mode]?.swipe;
+
+export const isRoundMode = (mode) => !!VOTING_MODES[mode]?.rounds;
+
+/** Candidates still in the running: not eliminated in a round, not vetoed. */
+export const activeCandidates = (session) => {
+  const out = new Set([...(session.eliminated || []), ...(session.vetoes || [])].map(e => e.id));
+  return (session.candidates || []).filter(c => !out.has(c.id));
+};
+
+/* -------------------------------------------------------------------------- */
+/* NOMINATIONS & VETOES                                                       */
+/* -------------------------------------------------------------------------- */
+
+// Places a participant can put on the slate themselves from the lobby.
+export const MAX_NOMINATIONS = 2;
+
+// Each participant may strike up to `session.vetoesPerPerson` candidates for
+// everyone. Vetoes stop once only a head-to-head is left.
+export const MAX_VETOES_PER_PERSON = 3;
+export const MIN_CANDIDATES_AFTER_VETO = 2;
+
+export const vetoesLeft = (session, userId) =>
+  Math.max(0, (session.vetoesPerPerson || 0) - (session.vetoes || []).filter(v => v.userId === userId).length);
+
+export const canVeto = (session, userId) =>
+  vetoesLeft(session, userId) > 0 && activeCandidates(session).length > MIN_CANDIDATES_AFTER_VETO;
+
+/** Votes that count right now: round modes only count the current round. */
+export const currentRoundVotes = (session, votes) => {
+  if (!isRoundMode(session.votingMode)) return votes;
+  const round = session.round || 1;
+  return votes.filter(v => (v.round || 1) === round);
+};
+
+// Swipe mode stores passes as vote docs too; they never count as support.
+const isSupport = (vote) => vote.choice !== 'pass';
+
+/**
+ * Groups vote docs into one ordered ballot per user. Ranked modes order by the
+ * `rank` field; unranked votes keep the order they were cast in.
+ *
+ * @param {Array<{userId: string, restaurantId: string, rank?: number}>} votes
+ * @param {string[]} candidateIds votes for anything else are ignored
+ * @returns {Map<string, string[]>} userId -> restaurant ids, best first
+ */
+export const buildBallots = (votes, candidateIds) => {
+  const valid = new Set(candidateIds);
+  const grouped = new Map();
+
+  votes.forEach((v, index) => {
+    if (!valid.has(v.restaurantId) || !isSupport(v)) return;
+    if (!grouped.has(v.userId)) grouped.set(v.userId, []);
+    grouped.get(v.userId).push({ id: v.restaurantId, rank: v.rank ?? Infinity, index });
+  });
+
+  const ballots = new Map();
+  grouped.forEach((entries, userId) => {
+    const ordered = entries
+      .sort((a, b) => (a.rank - b.rank) || (a.index - b.index))
+      .map(e => e.id);
+    ballots.set(userId, [...new Set(ordered)]);
+  });
+  return ballots;
+};
+
+const emptyScores = (candidateIds) =>
+  Object.fromEntries(candidateIds.map(id => [id, 0]));
+
+const leadersOf = (scores, ids = Object.keys(scores)) => {
+  const max = Math.max(...ids.map(id => scores[id]), 0);
+  return max > 0 ? ids.filter(id => scores[id] === max) : [];
+};
+
+const tallyApproval = (candidateIds, ballots) => {
+  const scores = emptyScores(candidateIds);
+  ballots.forEach(ballot => ballot.forEach(id => { scores[id] += 1; }));
+  return { scores, rounds: [] };
+};
+
+const tallySingle = (candidateIds, ballots) => {
+  const scores = emptyScores(candidateIds);
+  ballots.forEach(ballot => {
+    if (ballot.length > 0) scores[ballot[0]] += 1;
+  });
+  return { scores, rounds: [] };
+};
+
+const tallyBorda = (candidateIds, ballots) => {
+  const scores = emptyScores(candidateIds);
+  const n = candidateIds.length;
+  ballots.forEach(ballot => {
+    ballot.forEach((id, position) => { scores[id] += n - 1 - position; });
+  });
+  return { scores, rounds: [] };
+};
+
+// Instant-runoff: count first preferences among the remaining candidates,
+// stop at a strict majority, otherwise drop one last-placed candidate and
+// recount. A tie for last goes against whoever had fewer votes in the latest
+// earlier round that separates them, then the lower rating, then whoever sits
+// further down the slate.
+const tallyRanked = (candidateIds, ballots, candidates) => {
+  const ratingOf = Object.fromEntries(candidates.map(c => [c.id, c.rating || 0]));
+  const slateIndex = Object.fromEntries(candidateIds.map((id, index) => [id, index]));
+  let remaining = [...candidateIds];
+  const rounds = [];
+
+  const weakestFirst = (counts) => (a, b) => {
+    if (counts[a] !== counts[b]) return counts[a] - counts[b];
+    for (let i = rounds.length - 1; i >= 0; i--) {
+      const diff = rounds[i].counts[a] - rounds[i].counts[b];
+      if (diff !== 0) return diff;
+    }
+    return (ratingOf[a] - ratingOf[b]) || (slateIndex[b] - slateIndex[a]);
+  };
+
+  while (remaining.length > 0) {
+    const counts = Object.fromEntries(remaining.map(id => [id, 0]));
+    let active = 0;
+    ballots.forEach(ballot => {
+      const top = ballot.find(id => id in counts);
+      if (top) {
+        counts[top] += 1;
+        active += 1;
+      }
+    });
+
+    const values = remaining.map(id => counts[id]);
+    const max = Math.max(...values);
+    const min = Math.min(...values);
+    const majority = remaining.find(id => counts[id] * 2 > active);
+
+    // An all-way tie is left to `resolveWinner`, which records how it broke.
+    if (active === 0 || majority || max === min) {
+      rounds.push({ counts, eliminated: [] });
+      break;
+    }
+
+    const [eliminated] = [...remaining].sort(weakestFirst(counts));
+    rounds.push({ counts, eliminated: [eliminated] });
+    remaining = remaining.filter(id => id !== eliminated);
+  }
+
+  const scores = emptyScores(candidateIds);
+  const last = rounds[rounds.length - 1];
+  if (last) Object.assign(scores, last.counts);
+  return { scores, rounds, finalists: last ? Object.keys(last.counts) : [] };
+};
+
+const TALLIES = {
+  approval: tallyApproval,
+  single: tallySingle,
+  borda: tallyBorda,
+  ranked: tallyRanked,
+  swipe: tallyApproval,
+  elimination: tallyApproval
+};
+
+/**
+ * Scores every candidate for the given voting mode.
+ *
+ * @param {string} mode one of VOTING_MODES
+ * @param {Array<{id: string}>} candidates
+ * @param {Array<{userId: string, restaurantId: string, rank?: number}>} votes
+ * @returns {{mode: string, scores: Object<string, number>, rounds: Array, leaders: string[], ballots: Map<string, string[]>}}
+ */
+export const tallyVotes = (mode, candidates, votes) => {
+  const resolvedMode = TALLIES[mode] ? mode : DEFAULT_VOTING_MODE;
+  const candidateIds = candidates.map(c => c.id);
+  const ballots = buildBallots(votes, candidateIds);
+  const { scores, rounds, finalists } = TALLIES[resolvedMode](candidateIds, ballots, candidates);
+
+  return {
+    mode: resolvedMode,
+    scores,
+    rounds,
+    leaders: leadersOf(scores, finalists),
+    ballots
+  };
+};
+
+/**
+ * Whether one participant is done voting: swipe mode needs a decision on every
+ * candidate, single and ranked modes a cast vote or submitted ranking. In
+ * approval and elimination rounds people may keep adding approvals, so nobody
+ * is ever "done"; those close at the deadline or when the host ends them.
+ *
+ * @param {string} mode
+ * @param {Array<{choice?: string}>} userVotes that participant's current votes
+ * @param {number} candidateCount active candidates
+ */
+export const hasFinishedVoting = (mode, userVotes, candidateCount) => {
+  if (isSwipeMode(mode)) return userVotes.length >= candidateCount;
+  if (mode === 'approval' || isRoundMode(mode)) return false;
+  return userVotes.some(isSupport);
+};
+
+/**
+ * Returns the first candidate liked by every participant, or null. Used by
+ * swipe mode to end the session the moment the group agrees.
+ *
+ * @param {Array<{id: string}>} candidates
+ * @param {Array<{userId: string, restaurantId: string, choice?: string}>} votes
+ * @param {string[]} participantIds
+ */
+export const findUnanimousMatch = (candidates, votes, participantIds) => {
+  if (participantIds.length === 0) return null;
+  const likes = new Map();
+  votes.filter(isSupport).forEach(v => {
+    if (!likes.has(v.restaurantId)) likes.set(v.restaurantId, new Set());
+    likes.get(v.restaurantId).add(v.userId);
+  });
+
+  const match = candidates.find(c => participantIds.every(uid => likes.get(c.id)?.has(uid)));
+  return match ? match.id : null;
+};
+
+/**
+ * Decides who is cut at the end of an elimination round: everything with zero
+ * votes when that is at least half the field, otherwise the bottom half. Ties
+ * at the cut line go against the lower-rated restaurant. At least two always
+ * survive, so the last round is a head-to-head.
+ *
+ * @param {Array<{id: string, rating?: number, reviewCount?: number}>} candidates active ones only
+ * @param {Object<string, number>} scores from `tallyVotes`
+ * @returns {string[]} ids to eliminate
+ */
+export const planElimination = (candidates, scores) => {
+  if (candidates.length <= 2) return [];
+
+  const maxCut = candidates.length - 2;
+  const half = Math.floor(candidates.length / 2);
+  const weakestFirst = [...candidates].sort((a, b) =>
+    (scores[a.id] || 0) - (scores[b.id] || 0) ||
+    (a.rating || 0) - (b.rating || 0) ||
+    (a.reviewCount || 0) - (b.reviewCount || 0) ||
+    a.id.localeCompare(b.id));
+
+  const zeroVotes = weakestFirst.filter(c => !scores[c.id]);
+  const cut = zeroVotes.length >= half && zeroVotes.length < candidates.length
+    ? zeroVotes.length
+    : half;
+  return weakestFirst.slice(0, Math.min(cut, maxCut)).map(c => c.id);
+};
+
+/* -------------------------------------------------------------------------- */
+/* TIE-BREAKING                                                               */
+/* -------------------------------------------------------------------------- */
+
+export const TIE_BREAK_RULES = {
+  none: 'Clear winner, no tie-break needed.',
+  rating: 'Tied on votes, broken by highest Yelp rating.',
+  reviewCount: 'Tied on votes and rating, broken by most Yelp reviews.',
+  random: 'Still tied after rating and reviews, broken by a seeded random draw.'
+};
+
+export const createTieBreakSeed = () => Math.random().toString(36).substring(2, 10);
+
+// mulberry32 over a string hash, so the same seed always draws the same winner
+const seededRandom = (seed) => {
+  let h = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let a = h >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const narrowBy = (ids, byId, key) => {
+  const best = Math.max(...ids.map(id => byId[id]?.[key] ?? 0));
+  return ids.filter(id => (byId[id]?.[key] ?? 0) === best);
+};
+
+/**
+ * Picks a single winner from a tally. Tied leaders (or every candidate when
+ * nobody voted) are narrowed by rating, then review count, then a draw seeded
+ * with `seed` so anyone can replay the result.
+ *
+ * @param {ReturnType<typeof tallyVotes>} tally
+ * @param {Array<{id: string, rating?: number, reviewCount?: number}>} candidates
+ * @param {string} seed
+ * @returns {{winnerId: string|null, tieBreak: {rule: string, tied: string[], seed: string|null}}}
+ */
+export const resolveWinner = (tally, candidates, seed) => {
+  const byId = Object.fromEntries(candidates.map(c => [c.id, c]));
+  const tied = tally.leaders.length > 0 ? tally.leaders : candidates.map(c => c.id);
+
+  if (tied.length <= 1) {
+    return { winnerId: tied[0] || null, tieBreak: { rule: 'none', tied: [], seed: null } };
+  }
+
+  const byRating = narrowBy(tied, byId, 'rating');
+  if (byRating.length === 1) {
+    return { winnerId: byRating[0], tieBreak: { rule: 'rating', tied, seed: null } };
+  }
+
+  const byReviews = narrowBy(byRating, byId, 'reviewCount');
+  if (byReviews.length === 1) {
+    return { winnerId: byReviews[0], tieBreak: { rule: 'reviewCount', tied, seed: null } };
+  }
+
+  const pool = [...byReviews].sort();
+  const draw = Math.floor(seededRandom(seed)() * pool.length);
+  return { winnerId: pool[draw], tieBreak: { rule: 'random', tied, seed } };
+};
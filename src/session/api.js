@@ -0,0 +1,50 @@
+/* -------------------------------------------------------------------------- */
+/* API CALLS                                                                  */
+/* -------------------------------------------------------------------------- */
+
+// Every write goes through the Express API, which checks the caller's ID token
+// and the session state. Firestore is only read directly.
+
+// Deadlines are server timestamps, so countdowns correct for the local clock
+// using the Date header of the last API response.
+let serverClockOffset = 0;
+export const serverNow = () => Date.now() + serverClockOffset;
+
+/**
+ * Calls the API as `user` and returns the parsed JSON body. Failed calls
+ * throw an Error carrying the server's message and the HTTP `status`.
+ *
+ * @param {{getIdToken: () => Promise<string>}} user a Firebase user
+ * @param {string} url
+ * @param {{method?: string, body?: Object, keepalive?: boolean}} [options]
+ *   `keepalive` lets a request outlive the page, for the leave call on tab close
+ */
+export const callApi = async (user, url, { method = 'POST', body, keepalive = false } = {}) => {
+  const token = await user.getIdToken();
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    keepalive
+  });
+
+  const serverDate = Date.parse(response.headers.get('Date'));
+  if (!Number.isNaN(serverDate)) serverClockOffset = serverDate - Date.now();
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `Session API Error: ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+};
+
+export const callSessionApi = (user, path, options) => callApi(user, `/api/sessions${path}`, options);
+
+export const callProfileApi = (user, options) => callApi(user, '/api/profile', options);
+
+export const callCrewApi = (user, path, options) => callApi(user, `/api/crews${path}`, options);
@@ -0,0 +1,89 @@
+/* -------------------------------------------------------------------------- */
+/* SESSION CLIENT                                                             */
+/* -------------------------------------------------------------------------- */
+
+// Everything the app reads and writes about a session goes through a
+// repository, so the UI does not care whether it is talking to Firestore and
+// the API or to an in-memory store. Two backends exist:
+// `createFirestoreRepository` (./firestoreRepository.js) for the real app and
+// `createMemoryRepository` (./memoryRepository.js) for running without a
+// network. React bindings live in ./hooks.js.
+
+/**
+ * A session doc with its id. Timestamps are objects with `toMillis()`.
+ *
+ * @typedef {Object} Session
+ * @property {string} id
+ * @property {string} hostId
+ * @property {string[]} coHostIds
+ * @property {'open'|'voting'|'finished'} status
+ * @property {string} votingMode
+ * @property {Array<Object>} candidates
+ * @property {Object|null} [winner]
+ */
+
+/**
+ * @typedef {Object} Participant
+ * @property {string} sessionId
+ * @property {string} userId
+ * @property {string} name
+ * @property {string} [preference]
+ */
+
+/**
+ * @typedef {Object} Vote
+ * @property {string} sessionId
+ * @property {string} userId
+ * @property {string} restaurantId
+ * @property {number} [round]
+ * @property {number} [rank]
+ * @property {'like'|'pass'} [choice]
+ */
+
+/**
+ * Subscriptions call `onChange` with the current value right away and again
+ * after every change; they return a function that unsubscribes. Writes act
+ * as the repository's user and reject with an Error carrying a readable
+ * message.
+ *
+ * @typedef {Object} SessionRepository
+ * @property {(sessionId: string, onChange: (session: Session|null) => void, onError?: (error: Error) => void) => () => void} subscribeSession
+ *   null once the session does not exist
+ * @property {(sessionId: string, onChange: (participants: Participant[]) => void, onError?: (error: Error) => void) => () => void} subscribeParticipants
+ * @property {(sessionId: string, userId: string, onChange: (participant: Participant|null) => void, onError?: (error: Error) => void) => () => void} subscribeParticipant
+ *   one user's participant doc, null until they join; readable before joining
+ * @property {(sessionId: string, onChange: (votes: Vote[]) => void, onError?: (error: Error) => void) => () => void} subscribeVotes
+ * @property {(settings: Object) => Promise<{sessionId: string}>} createSession
+ *   `settings` carries `name` (the host's) and `location` plus the optional
+ *   session settings the API takes
+ * @property {(sessionId: string, name: string) => Promise<Object>} joinSession
+ * @property {(sessionId: string, preference: string, dismissed?: string[]) => Promise<Object>} submitPreference
+ * @property {(sessionId: string) => Promise<{provider: string|null}>} startVoting
+ * @property {(sessionId: string, restaurantId: string) => Promise<Object>} castVote
+ * @property {(sessionId: string, restaurantId: string) => Promise<Object>} removeVote
+ * @property {(sessionId: string) => Promise<{winnerId: string|null}>} finishSession
+ */
+
+/**
+ * The operations the app needs, on top of any repository.
+ *
+ * @param {SessionRepository} repository
+ */
+export const createSessionClient = (repository) => ({
+  ...repository,
+
+  /**
+   * Votes for a place, or takes the vote back if `userId` already has one
+   * on it among `votes` (the current round's).
+   *
+   * @param {Vote[]} votes
+   */
+  toggleVote: (sessionId, userId, restaurantId, votes) => {
+    const existing = votes.some(v => v.userId === userId && v.restaurantId === restaurantId);
+    return existing
+      ? repository.removeVote(sessionId, restaurantId)
+      : repository.castVote(sessionId, restaurantId);
+  },
+
+  endVoting: (sessionId) => repository.finishSession(sessionId)
+});
@@ -0,0 +1,66 @@
+import { collection, doc, onSnapshot, query, where } from 'firebase/firestore';
+import { callSessionApi } from './api.js';
+
+/* -------------------------------------------------------------------------- */
+/* FIRESTORE BACKEND                                                          */
+/* -------------------------------------------------------------------------- */
+
+// Reads are live Firestore snapshots; writes go through the session API, like
+// everything else the app writes.
+
+/** artifacts/{appId}/public/data/{name}, shared with the server. */
+export const publicCollection = (db, appId, name) =>
+  collection(db, 'artifacts', appId, 'public', 'data', name);
+
+const bySession = (db, appId, name, sessionId) =>
+  query(publicCollection(db, appId, name), where('sessionId', '==', sessionId));
+
+const logError = (error) => console.error(error);
+
+/**
+ * @param {{db: import('firebase/firestore').Firestore, appId: string, user: Object}} options
+ *   `user` is the signed-in Firebase user the writes are made as
+ * @returns {import('./client.js').SessionRepository}
+ */
+export const createFirestoreRepository = ({ db, appId, user }) => {
+  const call = (path, options) => callSessionApi(user, path, options);
+  const rid = (restaurantId) => encodeURIComponent(restaurantId);
+
+  return {
+    subscribeSession: (sessionId, onChange, onError = logError) =>
+      onSnapshot(doc(publicCollection(db, appId, 'sessions'), sessionId), (snap) => {
+        onChange(snap.exists() ? { id: sessionId, ...snap.data() } : null);
+      }, onError),
+
+    subscribeParticipants: (sessionId, onChange, onError = logError) =>
+      onSnapshot(bySession(db, appId, 'participants', sessionId), (snap) => {
+        onChange(snap.docs.map(d => d.data()));
+      }, onError),
+
+    // Participant doc ids are `${sessionId}_${userId}`, like on the server.
+    subscribeParticipant: (sessionId, userId, onChange, onError = logError) =>
+      onSnapshot(doc(publicCollection(db, appId, 'participants'), `${sessionId}_${userId}`), (snap) => {
+        onChange(snap.exists() ? snap.data() : null);
+      }, onError),
+
+    subscribeVotes: (sessionId, onChange, onError = logError) =>
+      onSnapshot(bySession(db, appId, 'votes', sessionId), (snap) => {
+        onChange(snap.docs.map(d => d.data()));
+      }, onError),
+
+    createSession: (settings) => call('', { body: settings }),
+
+    joinSession: (sessionId, name) => call(`/${sessionId}/join`, { body: { name } }),
+
+    submitPreference: (sessionId, preference, dismissed = []) =>
+      call(`/${sessionId}/preference`, { method: 'PUT', body: { preference, dismissed } }),
+
+    startVoting: (sessionId) => call(`/${sessionId}/start`),
+
+    castVote: (sessionId, restaurantId) => call(`/${sessionId}/votes/${rid(restaurantId)}`, { method: 'PUT' }),
+
+    removeVote: (sessionId, restaurantId) => call(`/${sessionId}/votes/${rid(restaurantId)}`, { method: 'DELETE' }),
+
+    finishSession: (sessionId) => call(`/${sessionId}/finish`)
+  };
+};
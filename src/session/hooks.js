@@ -0,0 +1,49 @@
+import { useEffect, useState } from 'react';
+
+/* -------------------------------------------------------------------------- */
+/* REACT HOOKS                                                                */
+/* -------------------------------------------------------------------------- */
+
+// Live session data from any repository (see ./client.js). Each hook follows
+// its arguments: switching sessions drops the old value straight away, before
+// the new subscription delivers.
+
+const NO_DOCS = Object.freeze([]);
+
+const useSubscription = (repository, method, args, initial) => {
+  const key = args.every(Boolean) ? args.join('/') : null;
+  const [state, setState] = useState({ key: null, value: initial });
+
+  useEffect(() => {
+    if (!repository || !key) return;
+    return repository[method](...args, (value) => setState({ key, value }));
+  }, [repository, method, key]);
+
+  return state.key === key ? state.value : initial;
+};
+
+/**
+ * @param {import('./client.js').SessionRepository|null} repository
+ * @param {string|null} sessionId
+ * @returns {import('./client.js').Session|null|undefined} undefined until the
+ *   first snapshot, null once the session does not exist
+ */
+export const useSession = (repository, sessionId) =>
+  useSubscription(repository, 'subscribeSession', [sessionId], undefined);
+
+/** @returns {import('./client.js').Participant[]} */
+export const useParticipants = (repository, sessionId) =>
+  useSubscription(repository, 'subscribeParticipants', [sessionId], NO_DOCS);
+
+/**
+ * Whether `userId` has joined, and as whom.
+ *
+ * @returns {import('./client.js').Participant|null|undefined} undefined until
+ *   the first snapshot, null when they have not joined
+ */
+export const useParticipant = (repository, sessionId, userId) =>
+  useSubscription(repository, 'subscribeParticipant', [sessionId, userId], undefined);
+
+/** @returns {import('./client.js').Vote[]} every round's votes */
+export const useVotes = (repository, sessionId) =>
+  useSubscription(repository, 'subscribeVotes', [sessionId], NO_DOCS);
@@ -0,0 +1,242 @@
+import {
+  VOTING_MODES,
+  DEFAULT_VOTING_MODE,
+  isRankedMode,
+  isSwipeMode,
+  isRoundMode,
+  activeCandidates,
+  currentRoundVotes,
+  tallyVotes,
+  resolveWinner,
+  createTieBreakSeed
+} from '../lib/scoring.js';
+
+/* -------------------------------------------------------------------------- */
+/* IN-MEMORY BACKEND                                                          */
+/* -------------------------------------------------------------------------- */
+
+// A stand-in for Firestore plus the session API, for running the session flow
+// without a network. It keeps the server's rules for the operations it covers
+// (who may start and finish, which status each step needs), but the slate is
+// whatever the store was given rather than a restaurant search.
+
+const timestamp = (millis) => ({ toMillis: () => millis });
+
+/**
+ * State shared by every user's repository, so several users can take part in
+ * the same sessions.
+ *
+ * @param {{candidates?: Array<Object>, now?: () => number}} [options]
+ *   `candidates` become the slate of every session that starts voting
+ */
+export const createMemoryStore = ({ candidates = [], now = Date.now } = {}) => ({
+  candidates,
+  now,
+  sessions: new Map(),
+  participants: new Map(),
+  votes: new Map(),
+  listeners: new Set(),
+  nextId: 1
+});
+
+const notify = (store) => store.listeners.forEach(listener => listener());
+
+// Docs are replaced rather than edited in place, so every snapshot hands out
+// new objects for what changed and the same ones for what did not.
+const subscribe = (store, read, onChange) => {
+  const listener = () => onChange(read());
+  store.listeners.add(listener);
+  listener();
+  return () => store.listeners.delete(listener);
+};
+
+const loadSession = (store, sessionId) => {
+  const session = store.sessions.get(sessionId);
+  if (!session) throw new Error('Session not found');
+  return session;
+};
+
+const assertStatus = (session, status) => {
+  if (session.status !== status) {
+    throw new Error(`Session is ${session.status}, expected ${status}`);
+  }
+};
+
+const assertModerator = (session, uid) => {
+  if (session.hostId !== uid && !session.coHostIds.includes(uid)) {
+    throw new Error('Only the host or a co-host can do that');
+  }
+};
+
+const sessionVotes = (store, sessionId) =>
+  [...store.votes.values()].filter(v => v.sessionId === sessionId);
+
+/**
+ * A repository acting as `userId` on `store`.
+ *
+ * @param {{store: ReturnType<typeof createMemoryStore>, userId: string}} options
+ * @returns {import('./client.js').SessionRepository}
+ */
+export const createMemoryRepository = ({ store, userId }) => {
+  const participantKey = (sessionId) => `${sessionId}_${userId}`;
+  const voteKey = (sessionId, restaurantId, round) =>
+    `${sessionId}_${userId}_${restaurantId}${round ? `_r${round}` : ''}`;
+  const roundOf = (session) => (isRoundMode(session.votingMode) ? session.round || 1 : undefined);
+
+  const loadParticipant = (sessionId) => {
+    const participant = store.participants.get(participantKey(sessionId));
+    if (!participant) throw new Error('Join the session first');
+    return participant;
+  };
+
+  const addParticipant = (sessionId, name) => {
+    const existing = store.participants.get(participantKey(sessionId));
+    store.participants.set(participantKey(sessionId), {
+      preference: '',
+      ...existing,
+      sessionId,
+      userId,
+      name,
+      isHost: store.sessions.get(sessionId).hostId === userId,
+      joinedAt: existing?.joinedAt || timestamp(store.now())
+    });
+  };
+
+  return {
+    subscribeSession: (sessionId, onChange) =>
+      subscribe(store, () => {
+        const session = store.sessions.get(sessionId);
+        return session ? { id: sessionId, ...session } : null;
+      }, onChange),
+
+    subscribeParticipants: (sessionId, onChange) =>
+      subscribe(store, () => [...store.participants.values()].filter(p => p.sessionId === sessionId), onChange),
+
+    subscribeParticipant: (sessionId, uid, onChange) =>
+      subscribe(store, () => store.participants.get(`${sessionId}_${uid}`) || null, onChange),
+
+    subscribeVotes: (sessionId, onChange) =>
+      subscribe(store, () => sessionVotes(store, sessionId), onChange),
+
+    createSession: async ({ name, location, votingMode } = {}) => {
+      if (!name?.trim() || !location?.trim()) {
+        throw new Error('name and location are required');
+      }
+      const sessionId = `MEM${store.nextId++}`;
+      store.sessions.set(sessionId, {
+        hostId: userId,
+        coHostIds: [],
+        location: location.trim(),
+        votingMode: VOTING_MODES[votingMode] ? votingMode : DEFAULT_VOTING_MODE,
+        status: 'open',
+        createdAt: timestamp(store.now()),
+        candidates: [],
+        vetoes: []
+      });
+      addParticipant(sessionId, name.trim());
+      notify(store);
+      return { sessionId };
+    },
+
+    joinSession: async (sessionId, name) => {
+      const session = loadSession(store, sessionId);
+      if (session.status === 'finished') {
+        throw new Error('This session has already finished');
+      }
+      if (!name?.trim()) throw new Error('name is required');
+      addParticipant(sessionId, name.trim());
+      notify(store);
+      return { sessionId };
+    },
+
+    submitPreference: async (sessionId, preference, dismissed = []) => {
+      assertStatus(loadSession(store, sessionId), 'open');
+      const participant = loadParticipant(sessionId);
+      store.participants.set(participantKey(sessionId), { ...participant, preference: preference.trim(), dismissed });
+      notify(store);
+      return { ok: true };
+    },
+
+    startVoting: async (sessionId) => {
+      const session = loadSession(store, sessionId);
+      assertModerator(session, userId);
+      assertStatus(session, 'open');
+      if (store.candidates.length === 0) {
+        throw new Error('No restaurants found for this session');
+      }
+      store.sessions.set(sessionId, {
+        ...session,
+        status: 'voting',
+        candidates: store.candidates,
+        provider: 'memory',
+        round: 1,
+        eliminated: []
+      });
+      notify(store);
+      return { provider: 'memory' };
+    },
+
+    castVote: async (sessionId, restaurantId) => {
+      const session = loadSession(store, sessionId);
+      assertStatus(session, 'voting');
+      loadParticipant(sessionId);
+      if (!activeCandidates(session).some(c => c.id === restaurantId)) {
+        throw new Error('Unknown restaurant');
+      }
+      if (isRankedMode(session.votingMode) || isSwipeMode(session.votingMode)) {
+        throw new Error('This session does not take single votes');
+      }
+      if (session.votingMode === 'single') {
+        sessionVotes(store, sessionId)
+          .filter(v => v.userId === userId)
+          .forEach(v => store.votes.delete(voteKey(sessionId, v.restaurantId, v.round)));
+      }
+      const round = roundOf(session);
+      store.votes.set(voteKey(sessionId, restaurantId, round), {
+        sessionId,
+        userId,
+        restaurantId,
+        ...(round ? { round } : {})
+      });
+      notify(store);
+      return { finished: false };
+    },
+
+    removeVote: async (sessionId, restaurantId) => {
+      const session = loadSession(store, sessionId);
+      assertStatus(session, 'voting');
+      store.votes.delete(voteKey(sessionId, restaurantId, roundOf(session)));
+      notify(store);
+      return { ok: true };
+    },
+
+    finishSession: async (sessionId) => {
+      const session = loadSession(store, sessionId);
+      assertModerator(session, userId);
+      assertStatus(session, 'voting');
+      const candidates = activeCandidates(session);
+      if (isRoundMode(session.votingMode) && candidates.length > 2) {
+        throw new Error('End this round first; the winner is picked in the head-to-head');
+      }
+
+      const tally = tallyVotes(session.votingMode, candidates, currentRoundVotes(session, sessionVotes(store, sessionId)));
+      const { winnerId, tieBreak } = resolveWinner(tally, candidates, createTieBreakSeed());
+      store.sessions.set(sessionId, {
+        ...session,
+        status: 'finished',
+        winner: candidates.find(c => c.id === winnerId) || null,
+        finishedAt: timestamp(store.now()),
+        result: {
+          mode: tally.mode,
+          scores: tally.scores,
+          rounds: tally.rounds,
+          ballots: Object.fromEntries(tally.ballots),
+          tieBreak,
+          finishedBy: 'host'
+        }
+      });
+      notify(store);
+      return { winnerId };
+    }
+  };
+};
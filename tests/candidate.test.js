@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeCandidate } from '../server/providers/candidate.js';
+
+describe('normalizeCandidate', () => {
+  it('keeps http(s) links and pictures', () => {
+    const c = normalizeCandidate({ id: 'a', name: 'A', url: 'https://example.com/a', image: 'http://example.com/a.jpg' });
+    expect(c.url).toBe('https://example.com/a');
+    expect(c.image).toBe('http://example.com/a.jpg');
+  });
+
+  it('drops links and pictures with any other scheme', () => {
+    const c = normalizeCandidate({ id: 'a', name: 'A', url: 'javascript:alert(1)', image: 'data:image/svg+xml,<svg/>' });
+    expect(c.url).toBeNull();
+    expect(c.image).toMatch(/^https:\/\/images\.unsplash\.com\//);
+  });
+});
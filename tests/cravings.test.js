@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { parseCraving } from '../src/lib/cravings.js';
+
+describe('parseCraving', () => {
+  it('reads cuisines, diets, price and distance', () => {
+    expect(parseCraving('Vegan tacos under $15 within 2 miles')).toMatchObject({
+      cuisines: ['mexican'],
+      dietary: ['vegan'],
+      exclusions: [],
+      priceMax: 2,
+      radius: 3218
+    });
+  });
+
+  it('excludes what follows "no", "without" and friends', () => {
+    expect(parseCraving('no sushi').exclusions).toEqual(['sushi']);
+    expect(parseCraving('anything but burgers, please').exclusions).toEqual(['burgers']);
+    expect(parseCraving('pizza without mushrooms')).toMatchObject({ cuisines: ['pizza'], exclusions: ['mushrooms'] });
+  });
+
+  it('ignores "no" before anything that is not a food', () => {
+    expect(parseCraving('no preference')).toMatchObject({ cuisines: [], exclusions: [] });
+    expect(parseCraving('no idea, maybe ramen')).toMatchObject({ cuisines: ['ramen'], exclusions: [] });
+    expect(parseCraving('no spicy food please').exclusions).toEqual(['spicy']);
+  });
+
+  it('keeps a cuisine that "not" only qualifies', () => {
+    expect(parseCraving('not too spicy thai')).toMatchObject({ cuisines: ['thai'], exclusions: [] });
+    expect(parseCraving('something not too expensive')).toMatchObject({ cuisines: [], exclusions: [] });
+  });
+
+  it('excludes a cuisine named right after "not"', () => {
+    expect(parseCraving('tacos, not pizza')).toMatchObject({ cuisines: ['mexican'], exclusions: ['pizza'] });
+    expect(parseCraving('not korean bbq')).toMatchObject({ cuisines: [], exclusions: ['korean'] });
+    expect(parseCraving('nothing fried').exclusions).toEqual(['fried']);
+  });
+});
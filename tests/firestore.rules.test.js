@@ -0,0 +1,111 @@
+import { readFileSync } from 'fs';
+import { describe, it, beforeAll, afterAll, beforeEach } from 'vitest';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, collection, query, where } from 'firebase/firestore';
+
+// Runs against the Firestore emulator: `npm run test:rules` starts one and
+// sets FIRESTORE_EMULATOR_HOST, and CI runs it after `npm test`, which skips
+// this file.
+const EMULATOR = process.env.FIRESTORE_EMULATOR_HOST;
+const DATA = 'artifacts/pickit-prod/public/data';
+
+describe.skipIf(!EMULATOR)('firestore.rules', () => {
+  let env;
+
+  beforeAll(async () => {
+    const [host, port] = EMULATOR.split(':');
+    env = await initializeTestEnvironment({
+      projectId: 'demo-pickit',
+      firestore: { rules: readFileSync('firestore.rules', 'utf8'), host, port: Number(port) }
+    });
+  });
+
+  afterAll(() => env?.cleanup());
+
+  // `host` hosts S1 and `guest` joined it; `crewmate` shares crew C1 with the
+  // host but is not in the session; `outsider` is in nothing.
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, `${DATA}/crews/C1`), { name: 'Lunch', memberIds: ['host', 'crewmate'] });
+      await setDoc(doc(db, `${DATA}/sessions/S1`), { hostId: 'host', coHostIds: [], status: 'voting', crewId: 'C1' });
+      await setDoc(doc(db, `${DATA}/participants/S1_host`), { sessionId: 'S1', userId: 'host', name: 'Hana', crewId: 'C1' });
+      await setDoc(doc(db, `${DATA}/participants/S1_guest`), { sessionId: 'S1', userId: 'guest', name: 'Gus', crewId: 'C1' });
+      await setDoc(doc(db, `${DATA}/votes/S1_guest_r1`), { sessionId: 'S1', userId: 'guest', restaurantId: 'r1' });
+      await setDoc(doc(db, 'artifacts/pickit-prod/users/guest/profile/main'), { displayName: 'Gus' });
+    });
+  });
+
+  const as = (uid) => env.authenticatedContext(uid).firestore();
+  const signedOut = () => env.unauthenticatedContext().firestore();
+  const bySession = (db, name) => query(collection(db, `${DATA}/${name}`), where('sessionId', '==', 'S1'));
+  const byCrew = (db, name) => query(collection(db, `${DATA}/${name}`), where('crewId', '==', 'C1'));
+
+  describe('profiles', () => {
+    it('lets users read their own', () =>
+      assertSucceeds(getDoc(doc(as('guest'), 'artifacts/pickit-prod/users/guest/profile/main'))));
+    it("hides other people's", () =>
+      assertFails(getDoc(doc(as('outsider'), 'artifacts/pickit-prod/users/guest/profile/main'))));
+    it('cannot be written from a client', () =>
+      assertFails(setDoc(doc(as('guest'), 'artifacts/pickit-prod/users/guest/profile/main'), { displayName: 'X' })));
+  });
+
+  describe('crews', () => {
+    it('can be opened by id from an invite link', () =>
+      assertSucceeds(getDoc(doc(as('outsider'), `${DATA}/crews/C1`))));
+    it('need a signed-in user', () =>
+      assertFails(getDoc(doc(signedOut(), `${DATA}/crews/C1`))));
+    it('list for their members', () =>
+      assertSucceeds(getDocs(query(collection(as('crewmate'), `${DATA}/crews`), where('memberIds', 'array-contains', 'crewmate')))));
+    it('do not list for everyone', () =>
+      assertFails(getDocs(collection(as('outsider'), `${DATA}/crews`))));
+    it('cannot be written from a client', () =>
+      assertFails(updateDoc(doc(as('host'), `${DATA}/crews/C1`), { memberIds: ['host', 'outsider'] })));
+  });
+
+  describe('sessions', () => {
+    it('are readable by participants', () =>
+      assertSucceeds(getDoc(doc(as('guest'), `${DATA}/sessions/S1`))));
+    it('are hidden from outsiders', () =>
+      assertFails(getDoc(doc(as('outsider'), `${DATA}/sessions/S1`))));
+    it("list in their crew's history for crew members", () =>
+      assertSucceeds(getDocs(byCrew(as('crewmate'), 'sessions'))));
+    it("do not list in a crew's history for others", () =>
+      assertFails(getDocs(byCrew(as('outsider'), 'sessions'))));
+    it('cannot be updated from a client, even by the host', () =>
+      assertFails(updateDoc(doc(as('host'), `${DATA}/sessions/S1`), { status: 'finished' })));
+    it('cannot be created from a client', () =>
+      assertFails(setDoc(doc(as('outsider'), `${DATA}/sessions/S2`), { hostId: 'outsider', status: 'open' })));
+  });
+
+  describe('participants', () => {
+    it('are listed for members', () =>
+      assertSucceeds(getDocs(bySession(as('guest'), 'participants'))));
+    it('are not listed for outsiders', () =>
+      assertFails(getDocs(bySession(as('outsider'), 'participants'))));
+    it('list by crew for crew members', () =>
+      assertSucceeds(getDocs(byCrew(as('crewmate'), 'participants'))));
+    it('let users check their own doc before joining', () =>
+      assertSucceeds(getDoc(doc(as('outsider'), `${DATA}/participants/S1_outsider`))));
+    it("do not let outsiders read someone else's doc", () =>
+      assertFails(getDoc(doc(as('outsider'), `${DATA}/participants/S1_guest`))));
+    it('cannot be created from a client', () =>
+      assertFails(setDoc(doc(as('outsider'), `${DATA}/participants/S1_outsider`), { sessionId: 'S1', userId: 'outsider', name: 'Oz' })));
+    it('cannot be edited by their owner', () =>
+      assertFails(updateDoc(doc(as('guest'), `${DATA}/participants/S1_guest`), { isHost: true })));
+    it('cannot be deleted from a client', () =>
+      assertFails(deleteDoc(doc(as('host'), `${DATA}/participants/S1_guest`))));
+  });
+
+  describe('votes', () => {
+    it('are readable by members', () =>
+      assertSucceeds(getDocs(bySession(as('host'), 'votes'))));
+    it('are hidden from outsiders', () =>
+      assertFails(getDocs(bySession(as('outsider'), 'votes'))));
+    it('cannot be cast from a client', () =>
+      assertFails(setDoc(doc(as('guest'), `${DATA}/votes/S1_guest_r2`), { sessionId: 'S1', userId: 'guest', restaurantId: 'r2' })));
+    it('cannot be deleted from a client', () =>
+      assertFails(deleteDoc(doc(as('guest'), `${DATA}/votes/S1_guest_r1`))));
+  });
+});
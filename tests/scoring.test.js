@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import { tallyVotes, resolveWinner, currentRoundVotes } from '../src/lib/scoring.js';
+
+const places = (...ids) => ids.map(id => ({ id, rating: 4, reviewCount: 100 }));
+
+// One vote doc per pick; ranked ballots are listed best first.
+const ballot = (userId, ...ids) => ids.map((restaurantId, rank) => ({ userId, restaurantId, rank }));
+const picks = (userId, ...ids) => ids.map(restaurantId => ({ userId, restaurantId }));
+
+describe('tallyVotes', () => {
+  it('counts every approval', () => {
+    const tally = tallyVotes('approval', places('a', 'b', 'c'), [...picks('u1', 'a', 'b'), ...picks('u2', 'b')]);
+    expect(tally.scores).toEqual({ a: 1, b: 2, c: 0 });
+    expect(tally.leaders).toEqual(['b']);
+  });
+
+  it('counts one vote per person in single mode', () => {
+    const tally = tallyVotes('single', places('a', 'b'), [...picks('u1', 'a'), ...picks('u2', 'b'), ...picks('u3', 'b')]);
+    expect(tally.scores).toEqual({ a: 1, b: 2 });
+    expect(tally.leaders).toEqual(['b']);
+  });
+
+  it('gives Borda points by position', () => {
+    const tally = tallyVotes('borda', places('a', 'b', 'c'), [
+      ...ballot('u1', 'a', 'b', 'c'),
+      ...ballot('u2', 'b', 'a', 'c'),
+      ...ballot('u3', 'b', 'c', 'a')
+    ]);
+    expect(tally.scores).toEqual({ a: 3, b: 5, c: 1 });
+    expect(tally.leaders).toEqual(['b']);
+  });
+
+  it('only counts likes in swipe mode', () => {
+    const tally = tallyVotes('swipe', places('a', 'b'), [
+      { userId: 'u1', restaurantId: 'a', choice: 'like' },
+      { userId: 'u1', restaurantId: 'b', choice: 'pass' },
+      { userId: 'u2', restaurantId: 'a', choice: 'like' }
+    ]);
+    expect(tally.scores).toEqual({ a: 2, b: 0 });
+  });
+
+  it('counts approvals for the current elimination round only', () => {
+    const session = { votingMode: 'elimination', round: 2 };
+    const votes = [
+      { userId: 'u1', restaurantId: 'a', round: 1 },
+      { userId: 'u1', restaurantId: 'b', round: 2 },
+      { userId: 'u2', restaurantId: 'b', round: 2 }
+    ];
+    const tally = tallyVotes('elimination', places('a', 'b'), currentRoundVotes(session, votes));
+    expect(tally.scores).toEqual({ a: 0, b: 2 });
+  });
+
+  it('falls back to approval for an unknown mode', () => {
+    expect(tallyVotes('nope', places('a'), picks('u1', 'a')).mode).toBe('approval');
+  });
+
+  describe('ranked choice', () => {
+    it('elects a first-round majority outright', () => {
+      const tally = tallyVotes('ranked', places('a', 'b'), [...ballot('u1', 'a'), ...ballot('u2', 'a'), ...ballot('u3', 'b')]);
+      expect(tally.rounds).toHaveLength(1);
+      expect(tally.leaders).toEqual(['a']);
+    });
+
+    it('drops one candidate per round', () => {
+      const tally = tallyVotes('ranked', places('a', 'b', 'c', 'd'), [
+        ...ballot('u1', 'a', 'b'),
+        ...ballot('u2', 'a', 'c'),
+        ...ballot('u3', 'b', 'c'),
+        ...ballot('u4', 'c', 'b'),
+        ...ballot('u5', 'd', 'b')
+      ]);
+      expect(tally.rounds.map(r => r.eliminated)).toEqual([['d'], ['c'], []]);
+      expect(tally.scores).toMatchObject({ a: 2, b: 3 });
+      expect(tally.leaders).toEqual(['b']);
+    });
+
+    it('breaks a tie for last on earlier-round counts', () => {
+      // b and c tie in round two; c had fewer votes in round one.
+      const tally = tallyVotes('ranked', places('a', 'c', 'b', 'd'), [
+        ...['u1', 'u2', 'u3', 'u4'].flatMap(u => ballot(u, 'a')),
+        ...['u5', 'u6', 'u7'].flatMap(u => ballot(u, 'b')),
+        ...['u8', 'u9'].flatMap(u => ballot(u, 'c')),
+        ...ballot('u10', 'd', 'c')
+      ]);
+      expect(tally.rounds[0].eliminated).toEqual(['d']);
+      expect(tally.rounds[1].counts).toEqual({ a: 4, c: 3, b: 3 });
+      expect(tally.rounds[1].eliminated).toEqual(['c']);
+    });
+
+    it('breaks a first-round tie for last on rating, then slate order', () => {
+      const candidates = [
+        { id: 'a', rating: 4 },
+        { id: 'b', rating: 3 },
+        { id: 'c', rating: 4.5 },
+        { id: 'd', rating: 4.5 }
+      ];
+      const votes = [
+        ...['u1', 'u2'].flatMap(u => ballot(u, 'a')),
+        ...ballot('u4', 'b'),
+        ...ballot('u5', 'c'),
+        ...ballot('u6', 'd', 'a')
+      ];
+      const tally = tallyVotes('ranked', candidates, votes);
+      expect(tally.rounds[0].eliminated).toEqual(['b']);
+      expect(tally.rounds[1].eliminated).toEqual(['d']);
+      expect(tally.rounds[2]).toEqual({ counts: { a: 3, c: 1 }, eliminated: [] });
+      expect(tally.leaders).toEqual(['a']);
+    });
+
+    it('leaves an all-way tie to resolveWinner', () => {
+      const tally = tallyVotes('ranked', places('a', 'b'), [...ballot('u1', 'a'), ...ballot('u2', 'b')]);
+      expect(tally.rounds).toEqual([{ counts: { a: 1, b: 1 }, eliminated: [] }]);
+      expect(tally.leaders).toEqual(['a', 'b']);
+    });
+  });
+});
+
+describe('resolveWinner', () => {
+  const tied = { leaders: ['a', 'b', 'c'] };
+
+  it('needs no tie-break for a single leader', () => {
+    expect(resolveWinner({ leaders: ['b'] }, places('a', 'b'), 'seed')).toEqual({
+      winnerId: 'b',
+      tieBreak: { rule: 'none', tied: [], seed: null }
+    });
+  });
+
+  it('breaks a tie on rating', () => {
+    const candidates = [{ id: 'a', rating: 4 }, { id: 'b', rating: 4.5 }, { id: 'c', rating: 3 }];
+    expect(resolveWinner(tied, candidates, 'seed')).toEqual({
+      winnerId: 'b',
+      tieBreak: { rule: 'rating', tied: ['a', 'b', 'c'], seed: null }
+    });
+  });
+
+  it('breaks a tie on rating and reviews', () => {
+    const candidates = [
+      { id: 'a', rating: 4.5, reviewCount: 10 },
+      { id: 'b', rating: 4.5, reviewCount: 900 },
+      { id: 'c', rating: 3, reviewCount: 5000 }
+    ];
+    expect(resolveWinner(tied, candidates, 'seed')).toMatchObject({ winnerId: 'b', tieBreak: { rule: 'reviewCount' } });
+  });
+
+  it('draws the same winner for the same seed', () => {
+    const first = resolveWinner(tied, places('a', 'b', 'c'), 'abc123');
+    expect(first.tieBreak).toEqual({ rule: 'random', tied: ['a', 'b', 'c'], seed: 'abc123' });
+    expect(['a', 'b', 'c']).toContain(first.winnerId);
+    expect(resolveWinner(tied, places('c', 'b', 'a'), 'abc123').winnerId).toBe(first.winnerId);
+  });
+
+  it('picks among every candidate when nobody voted', () => {
+    const candidates = [{ id: 'a', rating: 3 }, { id: 'b', rating: 5 }];
+    expect(resolveWinner({ leaders: [] }, candidates, 'seed')).toMatchObject({ winnerId: 'b', tieBreak: { rule: 'rating', tied: ['a', 'b'] } });
+  });
+
+  it('has no winner without candidates', () => {
+    expect(resolveWinner({ leaders: [] }, [], 'seed').winnerId).toBeNull();
+  });
+});
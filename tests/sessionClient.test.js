@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createSessionClient } from '../src/session/client.js';
+import { createMemoryStore, createMemoryRepository } from '../src/session/memoryRepository.js';
+
+const CANDIDATES = [
+  { id: 'r1', name: 'Noodle Bar', rating: 4.5 },
+  { id: 'r2', name: 'Taco Stand', rating: 4.0 },
+  { id: 'r3', name: 'Pizza Place', rating: 3.5 }
+];
+
+describe('session client on the in-memory backend', () => {
+  let store;
+  let host;
+  let guest;
+
+  beforeEach(() => {
+    store = createMemoryStore({ candidates: CANDIDATES });
+    host = createSessionClient(createMemoryRepository({ store, userId: 'host' }));
+    guest = createSessionClient(createMemoryRepository({ store, userId: 'guest' }));
+  });
+
+  // Subscribes like the hooks do and returns the latest value.
+  const watch = (client, method, ...args) => {
+    const latest = {};
+    client[method](...args, (value) => { latest.value = value; });
+    return latest;
+  };
+
+  it('runs create → join → vote → finish', async () => {
+    const { sessionId } = await host.createSession({ name: 'Hana', location: 'Downtown' });
+    const session = watch(host, 'subscribeSession', sessionId);
+    const participants = watch(host, 'subscribeParticipants', sessionId);
+    const votes = watch(host, 'subscribeVotes', sessionId);
+    expect(session.value).toMatchObject({ id: sessionId, hostId: 'host', status: 'open' });
+
+    await guest.joinSession(sessionId, 'Gus');
+    await guest.submitPreference(sessionId, 'tacos please');
+    expect(participants.value.map(p => p.name).sort()).toEqual(['Gus', 'Hana']);
+    expect(participants.value.find(p => p.userId === 'guest').preference).toBe('tacos please');
+
+    await host.startVoting(sessionId);
+    expect(session.value.status).toBe('voting');
+    expect(session.value.candidates).toHaveLength(3);
+
+    await host.toggleVote(sessionId, 'host', 'r2', votes.value);
+    await guest.toggleVote(sessionId, 'guest', 'r1', votes.value);
+    await guest.toggleVote(sessionId, 'guest', 'r2', votes.value);
+    // A second tap takes the vote back.
+    await guest.toggleVote(sessionId, 'guest', 'r1', votes.value);
+    expect(votes.value.map(v => `${v.userId}:${v.restaurantId}`).sort()).toEqual(['guest:r2', 'host:r2']);
+
+    await expect(guest.endVoting(sessionId)).rejects.toThrow('Only the host or a co-host can do that');
+    expect(session.value.status).toBe('voting');
+
+    const { winnerId } = await host.endVoting(sessionId);
+    expect(winnerId).toBe('r2');
+    expect(session.value).toMatchObject({ status: 'finished', winner: { id: 'r2' } });
+    expect(session.value.result.scores).toMatchObject({ r1: 0, r2: 2, r3: 0 });
+  });
+
+  it('only lets members vote and only the host start', async () => {
+    const { sessionId } = await host.createSession({ name: 'Hana', location: 'Downtown' });
+
+    await expect(guest.startVoting(sessionId)).rejects.toThrow('Only the host or a co-host can do that');
+    await host.startVoting(sessionId);
+    await expect(guest.castVote(sessionId, 'r1')).rejects.toThrow('Join the session first');
+    await expect(host.castVote(sessionId, 'nope')).rejects.toThrow('Unknown restaurant');
+  });
+
+  it('reports whether a user has joined', async () => {
+    const { sessionId } = await host.createSession({ name: 'Hana', location: 'Downtown' });
+    const membership = watch(guest, 'subscribeParticipant', sessionId, 'guest');
+    expect(membership.value).toBeNull();
+
+    await guest.joinSession(sessionId, 'Gus');
+    expect(membership.value).toMatchObject({ userId: 'guest', name: 'Gus' });
+  });
+});